@@ -1,10 +1,43 @@
 // load externals
 
 const AdvancedProxiedRequest = require("./lib/AdvancedProxiedRequest");
+const ProxyRateErrors = require("./lib/ProxyRateErrors");
+const RateLimitRules = require("./lib/RateLimitRules");
 
 module.exports = {
   ProxyRateManager: require("./lib/ProxyRateManager"),
   AdvancedProxiedRequest: AdvancedProxiedRequest.AdvancedProxiedRequest, // pass actual class
   advancedrequest: AdvancedProxiedRequest.advancedrequest, // pass for setting interval waits
   IPCheckRequest: AdvancedProxiedRequest.IPCheckRequest, // not necessary
+  IPCheckSource: require("./lib/IPCheckSource"),
+  BanClassifier: require("./lib/BanClassifier"),
+  RateLimitRule: RateLimitRules.RateLimitRule, // RateLimitRule.from({type, ...}) for addRateLimitActionKey's rules
+  RollingWindowRule: RateLimitRules.RollingWindowRule,
+  FixedWindowRule: RateLimitRules.FixedWindowRule,
+  TokenBucketRule: RateLimitRules.TokenBucketRule,
+  TorControlClient: require("./lib/TorControlClient"),
+  ActionReservation: require("./lib/ActionReservation"),
+  ProxyRateClientAgent: require("./lib/ProxyRateClientAgent"),
+  CircuitSelectionStrategies: require("./lib/CircuitSelectionStrategies"),
+  ProxyRateMetrics: require("./lib/ProxyRateMetrics"),
+  ProxyRateAdmin: require("./lib/ProxyRateAdmin"),
+  ProxyListLoader: require("./lib/ProxyListLoader"),
+  ProxyForwardServer: require("./lib/ProxyForwardServer"),
+
+  // errors thrown or rejected by the async APIs. all extend ProxyRateError
+  ProxyRateError: ProxyRateErrors.ProxyRateError,
+  NoCircuitAvailableError: ProxyRateErrors.NoCircuitAvailableError,
+  UnknownActionError: ProxyRateErrors.UnknownActionError,
+  RotationFailedError: ProxyRateErrors.RotationFailedError,
+  TorUnavailableError: ProxyRateErrors.TorUnavailableError,
+  QuotaExhaustedError: ProxyRateErrors.QuotaExhaustedError,
+  RetriesExhaustedError: ProxyRateErrors.RetriesExhaustedError,
+  InvalidConfigError: ProxyRateErrors.InvalidConfigError,
+
+  // storage backends for per-IP action timestamps (pass as ProxyRateManager's store option)
+  RateStatStore: require("./lib/stores/RateStatStore"), // interface to extend for custom backends
+  MemoryRateStatStore: require("./lib/stores/MemoryRateStatStore"),
+  FileRateStatStore: require("./lib/stores/FileRateStatStore"),
+  SqliteRateStatStore: require("./lib/stores/SqliteRateStatStore"),
+  RedisRateStatStore: require("./lib/stores/RedisRateStatStore"),
 };
@@ -0,0 +1,67 @@
+"use strict";
+
+
+/**
+ * ActionReservation
+ * A slot for one rate limited action, reserved on an exit IP by ProxyRateClient.acquire.
+ * The slot counts toward the IP's limit from the moment it is reserved.
+ * Call .commit() once the request was sent, or .release() if it never was to give the slot back.
+ */
+class ActionReservation {
+  constructor (args) {
+    this.manager = args.manager;
+    this.circuit = args.circuit;
+    this.ip = args.ip;
+    this.actionName = args.actionName;
+    this.scope = args.scope || null; // for actions kept per target host or key
+    this.statName = this.manager._getStatName(this.actionName, this.scope); // what the store counts it under
+    this.timestamp = args.timestamp;
+    this.id = args.id; // store record id
+
+    this.state = "reserved"; // "reserved" => "committed" or "released"
+  }
+
+  isPending () {
+    return this.state == "reserved";
+  }
+
+  /**
+   * The action happened. The slot stays counted for the action's rate window
+   * @param {String} ip - exit IP the action actually went out through, if known. Moves the slot there if different
+   */
+  async commit (ip=null) {
+    if (!this.isPending()) {
+      WARN(`[-] ${this.constructor.name}.commit - ${this.actionName} on ${this.ip} already ${this.state}`);
+      return false;
+    }
+
+    this.state = "committed";
+
+    // circuit changed IP between reserving and sending. Count it where it really happened
+    if (ip && ip != this.ip) {
+      await this.manager.store.remove(this.ip, this.statName, this.id);
+      this.id = await this.manager.store.record(ip, this.statName, this.timestamp);
+      this.ip = ip;
+    }
+
+    this.manager.emit('actionRecorded', {ip: this.ip, actionName: this.actionName, scope: this.scope});
+
+    return true;
+  }
+
+  // The action never happened. Give the slot back
+  async release () {
+    if (!this.isPending()) {
+      WARN(`[-] ${this.constructor.name}.release - ${this.actionName} on ${this.ip} already ${this.state}`);
+      return false;
+    }
+
+    this.state = "released";
+    await this.manager.store.remove(this.ip, this.statName, this.id);
+    return true;
+  }
+};
+
+
+
+module.exports = ActionReservation;
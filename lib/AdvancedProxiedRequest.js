@@ -1,19 +1,252 @@
 "use strict";
 
-const socks5httpAgent = require('socks5-http-client/lib/Agent'),
-  socks5httpsAgent = require('socks5-https-client/lib/Agent'),
-  advancedrequest = require('advancedrequest');
+const advancedrequest = require('advancedrequest'),
+  IPCheckSource = require('./IPCheckSource'),
+  { ProxyRateError, QuotaExhaustedError, RetriesExhaustedError, InvalidConfigError } = require('./ProxyRateErrors'),
+  RateLimitHeaders = require('./RateLimitHeaders');
 
 
 /**
  * AdvancedProxiedRequest
  * Extend AdvancedRequest to perform requests with the proxy system
+ *
+ * reqArgs:
+ *   proxyClient - ProxyRateClient to send the request through
+ *   rateLimitAction - action name (from addRateLimitActionKey) this request counts as. Pass true to use the
+ *     request's name. A slot is reserved on the proxyClient before every try and counted on the exit IP used.
+ *     Left out, the action whose hosts patterns match the url's host is used (see getActionForHost). false for none
+ *   rateLimitScope - custom key for actions kept per key, or to count a per host action under instead of the url's host
+ *   releaseOnConnectionFailure - pass true to give the slot back when a try never reached the target
+ *     (connection errors, timeouts). Tries that got any HTTP response always count
+ *   maxWait - ms to wait for a free slot when every reachable IP is full. rejects with QuotaExhaustedError past it
+ *   signal - AbortSignal to stop waiting for a slot
+ *   banClassifiers - BanClassifiers (or their options) for this request, checked before the manager's.
+ *     A matching response bans the exit IP for the request's host and action and is retried instead of postProcessed
+ *   banTarget - what bans from this request are scoped to instead of the url's host
+ *   onError - function (err) for errors that end a request started with run() (runAsync rejects instead).
+ *     See onRequestError
+ *
+ * With rateLimitAction, Retry-After and X-RateLimit-Remaining/Reset headers put the exit IP on a cooldown
+ * for the action (see ProxyRateManager.setCooldown). A 429, or 503 with Retry-After, is retried instead of postProcessed
  */
 class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
   constructor (args) {
     super(args);
 
     this.reqArgs = args.reqArgs || {};
+    this.reservation = null; // ActionReservation for the current try if rateLimitAction is set
+    this.proxyCircuit = null; // circuit the current try is sent through
+    this.tryStartTime = null; // when the current try was sent. its outcome and time feed the circuit's health
+    this.isProbe = false; // circuit breaker probe. see ProbeRequest
+    this.recordsCircuitResults = true; // false when the caller records one result for several requests (IP checks)
+    this.numBanRotations = 0; // IP changes this request made to get off banned IPs
+    this.isTryPrepared = false; // see _prepareTry
+    this.lastFailReason = null; // "rateLimited" or "banned" if the last try failed on that. see onRequestRetriesExhausted
+
+    if (this.getRateLimitAction() && !this.reqArgs.proxyClient) {
+      throw new InvalidConfigError(`${this.constructor.name} (${this.name}) - reqArgs.rateLimitAction requires reqArgs.proxyClient`, {field: "proxyClient"});
+    }
+
+    // rate limit headers and ban classifiers see every response before the subclass' postProcess
+    let postProcess = this.postProcess;
+    this.postProcess = function () {
+      let isRateLimited = this._recordRateLimitHeaders();
+
+      if (this._checkForBan()) {
+        return null;
+      } else if (isRateLimited) {
+        this.lastFailReason = "rateLimited";
+        return this.fail(1, `${this.name} - rate limited (status ${this.responseStatusCode}). Retrying when a slot is free`);
+      }
+
+      return postProcess.apply(this, arguments);
+    };
+  }
+
+  // What bans from this request are scoped to: reqArgs.banTarget or the url's host
+  getBanTarget () {
+    return this.reqArgs.banTarget || this._getURLHost();
+  }
+
+  _getURLHost () {
+    try {
+      return new URL(this.opts.url).hostname;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Cool the exit IP down for this request's action as the response's rate limit headers say.
+   * A 429 (or 503 with Retry-After) means no slot until then. The retry's acquire moves away or waits
+   * @return {Boolean} true if the response was rate limited
+   */
+  _recordRateLimitHeaders () {
+    let proxyClient = this.reqArgs.proxyClient;
+    let actionName = this.getRateLimitAction();
+
+    if (!actionName || !this.proxyCircuit || this.responseStatusCode == null || this.responseStatusCode == -1) {
+      return false;
+    }
+
+    let manager = proxyClient.manager;
+    let ip = this.proxyCircuit.activeExitNodeIP;
+    let scope = this.getRateLimitScope();
+    let now = new Date().getTime();
+    let {retryAt, remaining, resetAt} = RateLimitHeaders.parse(this.responseHeaders, now);
+    let status = this.responseStatusCode;
+    let isLimited = status == 429 || (status == 503 && retryAt);
+
+    if (isLimited) {
+      let until = retryAt || resetAt || (now + manager.rateLimitCooldown);
+      manager.setCooldown(ip, actionName, {until: until, remaining: 0, reason: `status ${status}`, scope: scope});
+    } else if (remaining != null && resetAt) {
+      manager.setCooldown(ip, actionName, {until: resetAt, remaining: remaining, reason: `X-RateLimit-Remaining ${remaining}`, scope: scope});
+    } else if (retryAt) {
+      manager.setCooldown(ip, actionName, {until: retryAt, remaining: 0, reason: `Retry-After`, scope: scope});
+    }
+
+    return !!isLimited;
+  }
+
+  /**
+   * Run the ban classifiers on the response. On a match, ban the exit IP for this target and action and retry
+   * @return {Boolean} true if it was a ban (and is being handled)
+   */
+  _checkForBan () {
+    let proxyClient = this.reqArgs.proxyClient;
+
+    if (!proxyClient || proxyClient.isPollingClient || !this.proxyCircuit) {
+      return false;
+    }
+
+    let manager = proxyClient.manager;
+    let ip = this.proxyCircuit.activeExitNodeIP;
+    let response = {statusCode: this.responseStatusCode, headers: this.responseHeaders, body: this.data, url: this.opts.url, ip: ip};
+    let classifier = manager.classifyResponse(response, this.reqArgs.banClassifiers || []);
+
+    if (!classifier) {
+      return false;
+    }
+
+    let target = this.getBanTarget();
+    let actionName = this.getRateLimitAction();
+
+    // the retry's _prepareTry changes IP
+    this.lastFailReason = "banned";
+    manager.banIP(ip, {target: target, actionName: actionName, ttl: classifier.ttl || manager.banTTL, reason: classifier.name}).catch((err) => {
+      WARN(`[-] ${this.constructor.name} (${this.name}) - could not ban ${ip}: ${err.message || err}`);
+    }).then(() => {
+      return this.fail(1, `${this.name} - exit IP ${ip} banned by ${target} (${classifier.name}). Retrying from another IP`);
+    });
+
+    return true;
+  }
+
+  // acquire changes IP or waits if no slot is free
+  async _prepareTry () {
+    try {
+      await this._rotateOffBannedIP();
+    } catch (err) {
+      WARN(`[-] ${this.constructor.name} (${this.name}) - could not change off a banned IP: ${err.message || err}`);
+    }
+
+    let actionName = this.getRateLimitAction();
+    if (actionName && !this.reservation) {
+      this.reservation = await this.reqArgs.proxyClient.acquire(actionName, {
+        maxWait: this.reqArgs.maxWait, signal: this.reqArgs.signal, scope: this.getRateLimitScope(),
+      });
+    }
+  }
+
+  // Change IP if this request's next try would go out through an IP banned for it. false if it stays
+  async _rotateOffBannedIP () {
+    let proxyClient = this.reqArgs.proxyClient;
+    let manager = proxyClient.manager;
+    let scope = {target: this.getBanTarget(), actionName: this.getRateLimitAction()};
+
+    if (!manager.autoRotateOnBan || !manager.isIPBanned(proxyClient.getCurrentIP(), scope)) {
+      return false;
+    } else if (this.numBanRotations >= manager.MAX_CHANGE_TRIES) {
+      WARN(`[-] ${this.constructor.name} (${this.name}) - still on a banned IP after ${this.numBanRotations} changes. Sending anyway`);
+      return false;
+    }
+
+    this.numBanRotations++;
+    await proxyClient.forceIPChangeImmediately();
+    return true;
+  }
+
+  // Name of the rate limited action this request counts as, or null
+  getRateLimitAction () {
+    let action = this.reqArgs.rateLimitAction;
+    let proxyClient = this.reqArgs.proxyClient;
+
+    if (action === true) {
+      return this.name;
+    } else if (action || action === false || !proxyClient || proxyClient.isPollingClient) {
+      return action || null;
+    }
+
+    return proxyClient.manager.getActionForHost(this._getURLHost());
+  }
+
+  // Scope the action is counted under: the url's host or reqArgs.rateLimitScope, for scoped actions. null otherwise
+  getRateLimitScope () {
+    let actionName = this.getRateLimitAction();
+
+    if (!actionName) {
+      return null;
+    }
+
+    return this.reqArgs.proxyClient.manager.getScopeFor(actionName, {host: this._getURLHost(), key: this.reqArgs.rateLimitScope});
+  }
+
+  /**
+   * Settle the current try's reservation
+   * @param {Boolean} didHappen - true if the try reached the target (commit), false to give the slot back
+   */
+  async _settleReservation (didHappen) {
+    let reservation = this.reservation;
+    this.reservation = null; // next try reserves its own slot
+
+    if (!reservation || !reservation.isPending()) {
+      return;
+    } else if (didHappen) {
+      await reservation.commit(this.proxyCircuit && this.proxyCircuit.activeExitNodeIP);
+    } else {
+      await reservation.release();
+    }
+  }
+
+  // Whether the last try got an HTTP response from the target. 407 is the proxy itself refusing us
+  didReachTarget () {
+    return this.responseStatusCode != null && this.responseStatusCode != -1 && this.responseStatusCode != 407;
+  }
+
+  // Report the current try's outcome to the circuit it went through (once per try)
+  _recordCircuitResult (succeeded) {
+    let circuit = this.proxyCircuit;
+
+    if (!circuit || this.tryStartTime == null || !this.recordsCircuitResults) {
+      return;
+    }
+
+    let latency = new Date().getTime() - this.tryStartTime;
+    this.tryStartTime = null;
+
+    if (succeeded) {
+      circuit.recordSuccess(latency);
+    } else {
+      circuit.recordFailure();
+    }
+  }
+
+  // Fire and forget. If the change fails, the next try just goes out on the same IP
+  _changeIPInBackground () {
+    this.reqArgs.proxyClient.forceIPChangeImmediately().catch((err) => {
+      WARN(`[-] ${this.constructor.name} (${this.name}) - could not change IP: ${err.message || err}`);
+    });
   }
 
   setProxyIfApplicable () {
@@ -22,14 +255,18 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
       // Without this, each "agent type" ["http", "https"] can only have one agent.
       // You can't use multiple SOCKS proxies on the request module without including this. ugh
       this.opts.pool = {};
+      this.proxyCircuit = this.reqArgs.proxyClient.circuit;
+
+      // the client may be on a circuit of another type than last try
+      delete this.opts.agent;
+      delete this.opts.proxy;
 
-      if (this.reqArgs.proxyClient.circuit.type === "socks5h") {
-        // socks5 proxy
-        this.opts['agentClass'] = this.opts.url.match(/^https:/) ? socks5httpsAgent : socks5httpAgent;
-        this.opts['agentOptions'] = this.reqArgs.proxyClient.getSocksAgentOptions();
+      if (this.proxyCircuit.isSocks()) {
+        // socks4, socks4a, socks5 (local DNS) and socks5h (remote DNS). one agent handles http and https
+        this.opts.agent = this.proxyCircuit.getSocksProxyAgent();
       } else {
-        // normal proxy (http/https, not socks5)
-        this.opts.proxy = this.reqArgs.proxyClient.circuit.getProxyIDString();
+        // normal proxy (http, or https with TLS to the proxy itself)
+        this.opts.proxy = this.proxyCircuit.getProxyURL();
       }
 
       vDEBUG(`[D] ProxyRateManager.IPCheckRequest.setProxyIfApplicable - USIN TORPROXY host=${this.reqArgs.proxyClient.circuit.getIdentifier()}!!! this.name=${this.name}`, this.cookie);      
@@ -40,21 +277,26 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
 
   // Run on SUCCESSFUL completion of request (at least up to the HTTP layer. no connection issues)
   onFinish (result) {
-    if (this.reqArgs.proxyClient && this.reqArgs.proxyClient.isPollingClient) {
-      this.reqArgs.proxyClient.circuit.promoteHealth();
-    }
+    this._recordCircuitResult(true);
+    this._settleReservation(true).catch(err => WARN(`[-] ${this.constructor.name}.onFinish - failed to record action: ${err}`));
 
     return super.onFinish(...arguments);
   }
 
   // Override .fail to catch a slew of SOCKS errors
   async fail (sleepSeconds, additionalMsg) { // note: parent classe's fail is not async
-    // Continue trying for polling client, don't cause crashes
-    if (this.reqArgs.proxyClient && this.reqArgs.proxyClient.isPollingClient) {
-      if (this.numTriesSoFar > 3) {
-        this.reqArgs.proxyClient.circuit.degradeHealth();
-        this.numTriesSoFar = 4;
+    // A try that got an HTTP response reached the target and used its slot. One that didn't may give it back
+    let reachedTarget = this.responseStatusCode != null && this.responseStatusCode != -1;
+    await this._settleReservation(reachedTarget || !this.reqArgs.releaseOnConnectionFailure);
+
+    // The circuit did its job if the target answered
+    this._recordCircuitResult(this.didReachTarget());
 
+    // IP checks give up after their tries and the manager moves on to the next source
+    if (this.reqArgs.proxyClient && this.reqArgs.proxyClient.isPollingClient && !this.isProbe) {
+      this.reqArgs.proxyClient.manager.emit('pollFailed', {circuit: this.reqArgs.proxyClient.circuit, message: additionalMsg || ''});
+
+      if (this.numTriesSoFar > 3) {
         await new Promise((resolve, reject) => setTimeout(resolve, 1000)); // enforce 1 second wait to slow down
       }
     }
@@ -95,7 +337,7 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
         //if (randomErrorsFound[0].indexOf('Error: SOCKS connection failed. Host unreachable.') != -1) {
           // change circuit if possible
           if (this.reqArgs.proxyClient) {
-            this.reqArgs.proxyClient.forceIPChangeImmediately().then();
+            this._changeIPInBackground();
           }
         //}
       } else {
@@ -106,14 +348,14 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
 
           // change circuit as well
           if (this.reqArgs.proxyClient) {
-            this.reqArgs.proxyClient.forceIPChangeImmediately().then();
+            this._changeIPInBackground();
           }
         }
       }
     } else if (shadyErrorsFound.length) {
       INFO(`[D] ${this.constructor.name}.fail - Shady error encountered: ${shadyErrorsFound[0]}`);
       if (this.reqArgs.proxyClient) {
-        this.reqArgs.proxyClient.forceIPChangeImmediately().then(); // try to switch circuits if available
+        this._changeIPInBackground(); // try to switch circuits if available
       }
     }
 
@@ -122,7 +364,9 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
     if (valueToSearchErroMessage.indexOf('Error: SOCKS connection failed. TTL expired.') != -1 && this.numTriesSoFar > 3 && isTorCircuit) {
       //if (this.numTriesSoFar > 7) {
         // This is a menace, we've already tried changing exit nodes. We have to restart tor.
-        return this.reqArgs.proxyClient.manager.forceRestartTorImmediately().then(() => {
+        return this.reqArgs.proxyClient.manager.forceRestartTorImmediately(this.reqArgs.proxyClient.circuit).catch((err) => {
+          WARN(`[-] ${this.constructor.name}.fail (${this.name}) - tor restart failed: ${err.message || err}`);
+        }).then(() => {
           return super.fail(sleepSeconds, `[!] TTL Expired error getting out of hand. Restarting tor`);
         });
       //}
@@ -135,34 +379,184 @@ class AdvancedProxiedRequest extends advancedrequest.AdvancedRequest {
     }
   }
 
+  // Same as AdvancedRequest.runAsync but rejects if a slot for rateLimitAction can't be acquired
+  async runAsync () {
+    return await new Promise((resolve, reject) => {
+      this.callback = resolve; // change callback to resolve, called at end of request, in onFinish
+      this.onRunError = reject;
+      return this.run(); // fire off request
+    });
+  }
+
   run () {
+    if (this.markedToCancel) {
+      return super.run(); // logs and bails out
+    }
+
+    // no new tries through a closed manager (IP checks close() is waiting for may finish)
+    let proxyClient = this.reqArgs.proxyClient;
+    if (proxyClient && proxyClient.manager.isClosed && !proxyClient.isPollingClient) {
+      return this.onRequestError(new ProxyRateError(`${this.constructor.name}.run (${this.name}) - ProxyRateManager is closed`));
+    }
+
+    // Get off banned IPs and reserve a slot for this try before sending it
+    if (proxyClient && !proxyClient.isPollingClient && !this.isTryPrepared) {
+      this._prepareTry().then(() => {
+        this.isTryPrepared = true;
+        this.run();
+      }).catch(err => this.onRequestError(err));
+      return;
+    }
+    this.isTryPrepared = false; // the next try prepares again
+
     this.setProxyIfApplicable(); // Needed to set the proxy details before sending request
+    this.responseStatusCode = null; // set again only if this try gets a response
+    this.lastFailReason = null;
+    this.tryStartTime = new Date().getTime();
 
     // actually perform request
     super.run();
   }
+
+  /**
+   * The request can't go on: no slot could be acquired (QuotaExhaustedError), no circuit (NoCircuitAvailableError),
+   * the manager closed... runAsync rejects with err. Requests started with run() pass it to reqArgs.onError,
+   * or just log it. Override to handle it another way
+   */
+  onRequestError (err) {
+    if (typeof(this.onRunError) == "function") {
+      return this.onRunError(err);
+    } else if (typeof(this.reqArgs.onError) == "function") {
+      return this.reqArgs.onError(err);
+    }
+
+    WARN(`[-] ${this.constructor.name} (${this.name}) - gave up: ${err && err.message || err}`);
+  }
+
+  // Tries used up. QuotaExhaustedError if the last one was rate limited, RetriesExhaustedError otherwise
+  onRequestRetriesExhausted () {
+    let details = {requestName: this.name, status: this.responseStatusCode, numTries: Math.round(this.numTriesSoFar), reason: this.lastFailReason};
+    let message = `${this.constructor.name} (${this.name}) - gave up after ${details.numTries} tries. Last status: ${details.status}`;
+
+    if (this.lastFailReason != "rateLimited") {
+      return this.onRequestError(new RetriesExhaustedError(message, details));
+    }
+
+    let ip = this.proxyCircuit && this.proxyCircuit.activeExitNodeIP;
+    let actionName = this.getRateLimitAction();
+    let scope = this.getRateLimitScope();
+    let cooldown = this.reqArgs.proxyClient.manager.getCooldown(ip, actionName, scope);
+
+    return this.onRequestError(new QuotaExhaustedError(message, Object.assign(details, {
+      ip: ip, actionName: actionName, scope: scope, availableAt: cooldown ? cooldown.until : null,
+    })));
+  }
+
+  cancelRequest () {
+    this._settleReservation(false).catch(err => WARN(`[-] ${this.constructor.name}.cancelRequest - failed to release slot: ${err}`));
+    return super.cancelRequest();
+  }
 };
 
 
 /**
  * IPCheckRequest
- * Used for poller to watch for IP changes on circuits
+ * Used for poller to watch for IP changes on circuits. Resolves with the exit IP read by
+ * args.ipCheckSource (an IPCheckSource, or the url as a plain text source). Rejects once its tries are used up
  */
 class IPCheckRequest extends AdvancedProxiedRequest {
   constructor (args) {
     super(args);
 
     this.name = "IP_POLL_REQ";
+    this.ipCheckSource = IPCheckSource.from(args.ipCheckSource || args.url);
+  }
+
+  postProcess () {
+    let ip = (this.responseStatusCode < 400) ? this.ipCheckSource.parse(this.data, this.responseHeaders) : null;
+
+    if (ip) {
+      return this.onFinish(ip);
+    } else if (this.responseStatusCode >= 400) {
+      return this.fail(10, `IPCheckRequest [${this.ipCheckSource.name}] got status ${this.responseStatusCode}. Retrying 10s`);
+    } else if (!this.data) {
+      return this.fail(40, `IPCheckRequest [${this.ipCheckSource.name}] failed, BLANK request. Retrying 40s`);
+    } else {
+      return this.fail(10, `ERR getting external IP from [${this.ipCheckSource.name}] - no ${this.ipCheckSource.format} IP in: ${String(this.data).substr(0, 200)}`);
+    }
+  }
+
+  onRequestRetriesExhausted () {
+    let err = new Error(`${this.name} - [${this.ipCheckSource.name}] failed ${Math.round(this.numTriesSoFar)} time(s). Last status: ${this.responseStatusCode}`);
+
+    if (typeof(this.onRunError) == "function") {
+      return this.onRunError(err);
+    }
+
+    throw err;
+  }
+};
+
+
+
+/**
+ * ProbeRequest
+ * One IP check through an open circuit breaker's circuit (half-open). The outcome is recorded
+ * on the circuit like any request, which closes or re-opens the breaker. Rejects if it fails
+ */
+class ProbeRequest extends IPCheckRequest {
+  constructor (args) {
+    super(Object.assign({maxRetries: 1}, args));
+
+    this.name = "PROBE_REQ";
+    this.isProbe = true;
+  }
+
+  onRequestRetriesExhausted () {
+    let err = new Error(`${this.name} - probe through ${this.proxyCircuit && this.proxyCircuit.getRedactedIdentifier()} failed`);
+
+    if (typeof(this.onRunError) == "function") {
+      return this.onRunError(err);
+    }
+
+    throw err;
+  }
+};
+
+
+
+/**
+ * RotationRequest
+ * Calls a rotating proxy provider's "rotate IP" URL directly (not through the proxy)
+ */
+class RotationRequest extends AdvancedProxiedRequest {
+  constructor (args) {
+    super(Object.assign({maxRetries: 3}, args));
+
+    this.name = "ROTATION_REQ";
+
+    for (let header in (args.headers || {})) {
+      this.addHeader(`${header}: ${args.headers[header]}`);
+    }
   }
 
   postProcess () {
-    if (!this.data) {
-      return this.fail(40, "IPCheckRequest failed, BLANK request. Retrying 40s");
-    } else if (!this.data.match(/(\d{1,3}\.){3}\d{1,3}/)) {
-      return this.fail(10, "ERR getting external IP - response data failed regex:", this.data);
+    if (this.responseStatusCode < 200 || this.responseStatusCode >= 300) {
+      return this.fail(5, `RotationRequest got status ${this.responseStatusCode}. Retrying 5s`);
     } else {
-      return this.onFinish(this.data.match(/(\d{1,3}\.){3}\d{1,3}/)[0]);
+      return this.onFinish(this.data);
+    }
+  }
+
+  // reject runAsync instead of throwing from a timer
+  onRequestRetriesExhausted () {
+    let err = new Error(`${this.name} - rotation URL failed ${this.numTriesSoFar} times. Last status: ${this.responseStatusCode}`);
+
+    if (typeof(this.onRunError) == "function") {
+      return this.onRunError(err);
     }
+
+    throw err;
   }
 };
 
@@ -171,5 +565,7 @@ class IPCheckRequest extends AdvancedProxiedRequest {
 module.exports = {
   AdvancedProxiedRequest: AdvancedProxiedRequest,
   IPCheckRequest: IPCheckRequest,
+  ProbeRequest: ProbeRequest,
+  RotationRequest: RotationRequest,
   advancedrequest: advancedrequest, // Hook to the parent class definition
 };
@@ -0,0 +1,86 @@
+"use strict";
+
+
+/**
+ * BanClassifier
+ * Recognizes a response meaning the target banned or throttled the exit IP (403s, 429s, captcha pages...).
+ * Every criterion given must match:
+ *   status      - Number or Array of Numbers
+ *   body        - RegExp (or string to find) the body must match
+ *   header      - name of a header the response must have
+ *   headerValue - RegExp (or string to find) that header's value must match
+ *   test        - function ({statusCode, headers, body, url, ip}) => Boolean
+ * And optionally:
+ *   ttl  - ms the ban lasts. the manager's banTTL by default
+ *   name - shown in logs and as the ban's reason
+ *
+ * new BanClassifier({status: [403, 429]});
+ * new BanClassifier({status: 200, body: /captcha/i, ttl: 1000 * 60 * 60, name: "captcha"});
+ */
+class BanClassifier {
+  constructor (args={}) {
+    if (typeof(args) == "function") {
+      args = {test: args};
+    }
+
+    this.status = (args.status == null) ? null : [].concat(args.status);
+    this.body = BanClassifier._toRegExp(args.body);
+    this.header = args.header ? args.header.toLowerCase() : null;
+    this.headerValue = BanClassifier._toRegExp(args.headerValue);
+    this.test = args.test || null;
+    this.ttl = args.ttl || null;
+    this.name = args.name || this._describe();
+
+    if (!this.status && !this.body && !this.header && !this.test) {
+      throw new Error(`BanClassifier - needs at least one of status, body, header or test`);
+    } else if (this.headerValue && !this.header) {
+      throw new Error(`BanClassifier [${this.name}] - headerValue needs a header`);
+    }
+  }
+
+  // Accepts classifiers, {status, body, header, headerValue, test, ttl, name} objects or test functions
+  static from (classifier) {
+    return (classifier instanceof BanClassifier) ? classifier : new BanClassifier(classifier);
+  }
+
+  /**
+   * @param {Object} response - {statusCode, headers, body, url, ip}
+   * @return {Boolean}
+   */
+  matches (response) {
+    let headers = response.headers || {};
+
+    if (this.status && this.status.indexOf(response.statusCode) == -1) {
+      return false;
+    } else if (this.body && !this.body.test(String(response.body || ''))) {
+      return false;
+    } else if (this.header && headers[this.header] == null) {
+      return false;
+    } else if (this.headerValue && !this.headerValue.test(String(headers[this.header]))) {
+      return false;
+    }
+
+    return !this.test || !!this.test(response);
+  }
+
+  static _toRegExp (pattern) {
+    if (pattern == null) {
+      return null;
+    }
+
+    return (pattern instanceof RegExp) ? pattern : new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  }
+
+  _describe () {
+    return [
+      this.status && `status ${this.status.join('/')}`,
+      this.body && `body ${this.body}`,
+      this.header && `header ${this.header}${this.headerValue ? ` ${this.headerValue}` : ''}`,
+      this.test && `test ${this.test.name || 'function'}`,
+    ].filter(part => part).join(', ');
+  }
+};
+
+
+
+module.exports = BanClassifier;
@@ -0,0 +1,164 @@
+"use strict";
+
+const EventEmitter = require('events');
+
+
+/**
+ * CircuitBreaker
+ * Health model of one circuit: EWMAs of the success rate and latency of the requests sent through it,
+ * and a breaker that stops the circuit from being picked while it is failing.
+ *
+ * States:
+ *   closed    - in use
+ *   open      - failing. not picked for clients until openDuration ms pass
+ *   half-open - probe requests decide: probeSuccessesToClose successes close it, any failure opens it again
+ *
+ * Events:
+ *   stateChanged {oldState, state}
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor (args={}) {
+    super();
+
+    let breakerDefaults = {
+      alpha: 0.2, // EWMA weight of the newest sample (0-1). higher reacts faster
+      minSuccessRate: 0.5, // open when the success rate EWMA falls below this
+      minRequests: 5, // samples needed (since closing) before the success rate or latency can open it
+      maxConsecutiveFailures: 5, // open after this many failures in a row, whatever the rate
+      maxLatency: null, // ms. open when the latency EWMA goes above this. null to ignore latency
+      openDuration: 1000 * 30, // ms open before probing (half-open)
+      probeSuccessesToClose: 2, // successful probes needed in half-open to close
+    };
+
+    Object.assign(this, breakerDefaults, args);
+
+    this.state = "closed";
+    this.successRate = 1; // EWMA of 1 (success) / 0 (failure) samples
+    this.latency = null; // EWMA of successful request times in ms. null until the first one
+    this.samples = 0; // since the breaker last closed
+    this.consecutiveFailures = 0;
+    this.halfOpenSuccesses = 0;
+    this.totalSuccesses = 0;
+    this.totalFailures = 0;
+    this.lastSuccessTime = 0;
+    this.lastFailureTime = 0;
+    this.openedAt = 0;
+  }
+
+  recordSuccess (latency=null) {
+    this.successRate = this._ewma(this.successRate, 1);
+    if (latency != null) {
+      this.latency = (this.latency == null) ? latency : this._ewma(this.latency, latency);
+    }
+
+    this.samples++;
+    this.totalSuccesses++;
+    this.consecutiveFailures = 0;
+    this.lastSuccessTime = new Date().getTime();
+
+    if (this.state == "half-open" && ++this.halfOpenSuccesses >= this.probeSuccessesToClose) {
+      this._close();
+    } else if (this.state == "closed" && this._isLatencyTooHigh()) {
+      this._open();
+    }
+  }
+
+  recordFailure () {
+    this.successRate = this._ewma(this.successRate, 0);
+
+    this.samples++;
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastFailureTime = new Date().getTime();
+
+    if (this.state == "half-open") {
+      this._open(); // probe failed
+    } else if (this.state == "closed") {
+      let isRateTooLow = this.samples >= this.minRequests && this.successRate < this.minSuccessRate;
+
+      if (isRateTooLow || this.consecutiveFailures >= this.maxConsecutiveFailures || this._isLatencyTooHigh()) {
+        this._open();
+      }
+    }
+  }
+
+  // Let probes through. Called once openDuration has passed
+  halfOpen () {
+    if (this.state == "open") {
+      this.halfOpenSuccesses = 0;
+      this._setState("half-open");
+    }
+  }
+
+  isClosed () {
+    return this.state == "closed";
+  }
+
+  // ms until an open breaker may be probed. 0 if not open or already due
+  getTimeUntilProbe () {
+    return (this.state == "open") ? Math.max(0, this.openedAt + this.openDuration - new Date().getTime()) : 0;
+  }
+
+  // 0-100. the success rate while closed, capped at 20 while probing and 0 while open
+  getScore () {
+    let score = Math.round(this.successRate * 100);
+
+    if (this.state == "open") {
+      return 0;
+    } else if (this.state == "half-open") {
+      return Math.min(score, 20);
+    }
+
+    return score;
+  }
+
+  getStats () {
+    return {
+      state: this.state,
+      score: this.getScore(),
+      successRate: this.successRate,
+      latency: this.latency,
+      samples: this.samples,
+      consecutiveFailures: this.consecutiveFailures,
+      totalSuccesses: this.totalSuccesses,
+      totalFailures: this.totalFailures,
+      lastSuccessTime: this.lastSuccessTime,
+      lastFailureTime: this.lastFailureTime,
+      openedAt: this.openedAt,
+      timeUntilProbe: this.getTimeUntilProbe(),
+    };
+  }
+
+  _ewma (average, sample) {
+    return this.alpha * sample + (1 - this.alpha) * average;
+  }
+
+  _isLatencyTooHigh () {
+    return this.maxLatency != null && this.latency != null && this.samples >= this.minRequests && this.latency > this.maxLatency;
+  }
+
+  _open () {
+    this.openedAt = new Date().getTime();
+    this._setState("open");
+  }
+
+  // A fresh window: the success rate carries over but needs minRequests new samples to open it again
+  _close () {
+    this.samples = 0;
+    this.consecutiveFailures = 0;
+    this._setState("closed");
+  }
+
+  _setState (state) {
+    let oldState = this.state;
+    this.state = state;
+
+    if (oldState != state) {
+      this.emit('stateChanged', {oldState: oldState, state: state});
+    }
+  }
+};
+
+
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,110 @@
+"use strict";
+
+
+/**
+ * CircuitSelectionStrategies
+ * Ways to pick which circuit a client is assigned or moved to.
+ *
+ * A strategy is a function (candidates, context) => circuit where
+ *   candidates - non-empty array of healthy circuits, in pool order. Never includes the circuit being left
+ *   context    - {manager, client, currentCircuit, actionName, scope, state}
+ *                state is an object the strategy can keep between calls (one per manager or client)
+ *
+ * Pass a name below or your own function as ProxyRateManager's circuitSelectionStrategy
+ * or as the strategy option of createClient.
+ */
+class CircuitSelectionStrategies {
+  static get (strategy) {
+    if (typeof(strategy) == "function") {
+      return strategy;
+    }
+
+    let fn = CircuitSelectionStrategies.byName[strategy];
+    if (!fn) {
+      throw new Error(`CircuitSelectionStrategies - unknown strategy "${strategy}". Options: ${Object.keys(CircuitSelectionStrategies.byName).join(', ')}`);
+    }
+
+    return fn;
+  }
+
+  static random (candidates, context) {
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  // Next circuit in pool order after the one this strategy picked last
+  static roundRobin (candidates, context) {
+    let pool = context.manager.circuits;
+    let lastIndex = pool.indexOf(context.state.lastPicked);
+
+    let next = candidates.find(c => pool.indexOf(c) > lastIndex) || candidates[0];
+    context.state.lastPicked = next;
+
+    return next;
+  }
+
+  static leastConnected (candidates, context) {
+    let numClients = (c) => context.manager.clients.filter(client => client.circuit == c).length;
+    return CircuitSelectionStrategies._minBy(candidates, numClients);
+  }
+
+  // Random, but a circuit with twice the health is twice as likely
+  static healthWeighted (candidates, context) {
+    let total = candidates.reduce((sum, c) => sum + c.getHealthScore(), 0);
+    let point = Math.random() * total;
+
+    for (let c of candidates) {
+      point -= c.getHealthScore();
+      if (point < 0) {
+        return c;
+      }
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  // Most slots left for context.actionName (in context.scope) on the exit IP (or summed over all actions if none given)
+  static mostRemainingQuota (candidates, context) {
+    let manager = context.manager;
+    let actionNames = context.actionName ? [context.actionName] : Object.keys(manager.actionLimits);
+
+    let remainingFraction = (c) => actionNames.reduce((sum, actionName) => {
+      let scope = (actionName == context.actionName) ? context.scope : null;
+      return sum + manager.getRemainingQuota(c.activeExitNodeIP, actionName, scope) / manager.actionLimits[actionName];
+    }, 0);
+
+    return CircuitSelectionStrategies._minBy(candidates, c => -remainingFraction(c));
+  }
+
+  static leastRecentlyRotated (candidates, context) {
+    return CircuitSelectionStrategies._minBy(candidates, c => c.lastIPChangeTime);
+  }
+
+  // first of the lowest scoring circuits, so ties go by pool order
+  static _minBy (candidates, score) {
+    let best = candidates[0];
+    let bestScore = score(best);
+
+    for (let c of candidates.slice(1)) {
+      let s = score(c);
+      if (s < bestScore) {
+        best = c;
+        bestScore = s;
+      }
+    }
+
+    return best;
+  }
+};
+
+CircuitSelectionStrategies.byName = {
+  'random': CircuitSelectionStrategies.random,
+  'round-robin': CircuitSelectionStrategies.roundRobin,
+  'least-connected': CircuitSelectionStrategies.leastConnected,
+  'health-weighted': CircuitSelectionStrategies.healthWeighted,
+  'most-remaining-quota': CircuitSelectionStrategies.mostRemainingQuota,
+  'least-recently-rotated': CircuitSelectionStrategies.leastRecentlyRotated,
+};
+
+
+
+module.exports = CircuitSelectionStrategies;
@@ -0,0 +1,115 @@
+"use strict";
+
+const net = require('net');
+
+
+/**
+ * IPCheckSource
+ * An endpoint that tells a circuit its exit IP, and how to read the IP out of its response.
+ *
+ * Formats:
+ *   text   - first IPv4 or IPv6 address in the body (default)
+ *   json   - value at a dot path of the JSON body, ex: "ip" or "data.addresses.0"
+ *   header - value of a response header, ex: "x-client-ip"
+ *
+ * new IPCheckSource("https://api.ipify.org");
+ * new IPCheckSource({url: "https://api64.ipify.org?format=json", format: "json", path: "ip"});
+ * new IPCheckSource({url: "https://example.com/cdn-trace", format: "header", header: "x-client-ip"});
+ */
+class IPCheckSource {
+  constructor (args) {
+    if (typeof(args) == "string") {
+      args = {url: args};
+    }
+
+    this.url = args.url;
+    this.format = args.format || (args.path ? "json" : (args.header ? "header" : "text"));
+    this.path = args.path || null;
+    this.header = args.header ? args.header.toLowerCase() : null;
+    this.name = args.name || this.url;
+
+    this.successes = 0;
+    this.failures = 0;
+    this.lastError = null;
+
+    if (!this.url) {
+      throw new Error(`IPCheckSource - url is required: ${JSON.stringify(args)}`);
+    } else if (IPCheckSource.formats.indexOf(this.format) == -1) {
+      throw new Error(`IPCheckSource [${this.name}] - unknown format "${this.format}". Options: ${IPCheckSource.formats.join(', ')}`);
+    } else if (this.format == "json" && !this.path) {
+      throw new Error(`IPCheckSource [${this.name}] - json format needs a path`);
+    } else if (this.format == "header" && !this.header) {
+      throw new Error(`IPCheckSource [${this.name}] - header format needs a header`);
+    }
+  }
+
+  // Accepts sources, urls or {url, format, path, header, name} objects
+  static from (source) {
+    return (source instanceof IPCheckSource) ? source : new IPCheckSource(source);
+  }
+
+  /**
+   * Read the exit IP out of a response
+   * @return {String|null} the normalized IP, null if the response has none
+   */
+  parse (body, headers={}) {
+    if (this.format == "header") {
+      let value = headers[this.header];
+      return value ? IPCheckSource.extractIP(Array.isArray(value) ? value[0] : value) : null;
+    } else if (this.format == "json") {
+      let value;
+      try {
+        value = this.path.split('.').reduce((obj, key) => (obj == null) ? obj : obj[key], JSON.parse(body));
+      } catch (err) {
+        return null;
+      }
+
+      return (typeof(value) == "string") ? IPCheckSource.normalizeIP(value.trim()) : null;
+    }
+
+    return IPCheckSource.extractIP(body);
+  }
+
+  // First IPv4 or IPv6 address in text, normalized
+  static extractIP (text) {
+    let candidates = String(text || '').match(/[0-9a-fA-F:.]*[:.][0-9a-fA-F:.]*/g) || [];
+
+    for (let candidate of candidates) {
+      // "IP:1.2.3.4" or "1.2.3.4." pick up separators. "::1" needs its colons
+      let ip = IPCheckSource.normalizeIP(candidate) || IPCheckSource.normalizeIP(candidate.replace(/^[:.]+|[:.]+$/g, ''));
+      if (ip) {
+        return ip;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * One spelling per address so sources agree and store keys match:
+   * IPv6 lowercased and compressed, IPv4-mapped IPv6 as plain IPv4
+   * @return {String|null} null if ip is not an IP address
+   */
+  static normalizeIP (ip) {
+    ip = String(ip).replace(/^\[|\]$/g, '');
+
+    let mapped = ip.match(/^::ffff:(\d{1,3}(\.\d{1,3}){3})$/i);
+    if (mapped) {
+      ip = mapped[1];
+    }
+
+    if (net.isIPv4(ip)) {
+      return ip;
+    } else if (net.isIPv6(ip)) {
+      return new URL(`http://[${ip}]/`).hostname.slice(1, -1);
+    }
+
+    return null;
+  }
+};
+
+IPCheckSource.formats = ["text", "json", "header"];
+
+
+
+module.exports = IPCheckSource;
@@ -0,0 +1,205 @@
+"use strict";
+
+const fs = require('fs'),
+  path = require('path'),
+  ps = require('ps-node'),
+  childprocessmanager = require('childprocessmanager'); // to start tor
+
+
+/**
+ * LocalTorInstance
+ * One tor daemon owned by one local tor circuit. Has its own generated torrc,
+ * DataDirectory, SocksPort, ControlPort and PidFile so it can be rotated,
+ * restarted and killed without touching any other tor on the machine.
+ */
+class LocalTorInstance {
+  constructor (args={}) {
+    this.socksHost = args.socksHost || '127.0.0.1';
+    this.socksPort = args.socksPort;
+    this.controlPort = args.controlPort;
+    this.dataDirectory = path.resolve(args.dataDirectory);
+    this.torPath = args.torPath || "tor";
+    this.torrcLines = args.torrcLines || []; // extra raw torrc lines, ex: ["ExitNodes {us}"]
+    this.torControl = args.torControl || null; // TorControlClient for this instance, used to wait for bootstrap
+
+    this.startupTimeout = args.startupTimeout || 1000 * 60;
+    this.pid = null;
+  }
+
+  getIdentifier () {
+    return `tor[${this.socksHost}:${this.socksPort}]`;
+  }
+
+  getTorrcPath () { return path.join(this.dataDirectory, 'torrc'); }
+  getPidFilePath () { return path.join(this.dataDirectory, 'tor.pid'); }
+  getCookieFilePath () { return path.join(this.dataDirectory, 'control_auth_cookie'); }
+
+  generateTorrc () {
+    return [
+      `SocksPort ${this.socksHost}:${this.socksPort}`,
+      `ControlPort 127.0.0.1:${this.controlPort}`,
+      `CookieAuthentication 1`,
+      `CookieAuthFile ${this.getCookieFilePath()}`,
+      `DataDirectory ${this.dataDirectory}`,
+      `PidFile ${this.getPidFilePath()}`,
+      `Log notice file ${path.join(this.dataDirectory, 'notice.log')}`,
+      `RunAsDaemon 1`,
+    ].concat(this.torrcLines).join('\n') + '\n';
+  }
+
+  // Whether our tracked tor process is alive
+  isRunning () {
+    let pid = this.pid || this._readPidFile();
+
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0); // signal 0 only checks the process exists
+      return true;
+    } catch (err) {
+      return err.code == 'EPERM'; // exists but isn't ours to signal
+    }
+  }
+
+  // starts tor as a daemon. won't close when/if node closes
+  async start () {
+    // A tor left over from a previous run still owns our DataDirectory. Stop it first
+    if (await this._isStaleTorRunning()) {
+      INFO(`[-] ${this.constructor.name}.start ${this.getIdentifier()} - stale tor (PID ${this._readPidFile()}) still running. Stopping it`);
+      await this.stop();
+    }
+
+    fs.mkdirSync(this.dataDirectory, {recursive: true, mode: 0o700}); // tor refuses group/world readable DataDirectory
+    fs.chmodSync(this.dataDirectory, 0o700);
+    fs.writeFileSync(this.getTorrcPath(), this.generateTorrc());
+
+    INFO(`[+] ${this.constructor.name}.start ${this.getIdentifier()} - starting tor with ${this.getTorrcPath()}`);
+
+    let torProc = new childprocessmanager({
+      processPath: this.torPath,
+      onStdout: (data) => {
+        DEBUG(`[D] ${this.constructor.name} ${this.getIdentifier()}: New tor stdout chunk:`, data);
+      },
+      onStderr: (data) => {
+        INFO(`[D] ${this.constructor.name} ${this.getIdentifier()}: New tor stderr chunk:`, data);
+      },
+      onClose: () => {
+        DEBUG(`[D] ${this.constructor.name} ${this.getIdentifier()}: tor launcher closed. Daemon keeps running`);
+      },
+      detached: true, // true to let process continue to run if node closes
+    });
+
+    await new Promise((resolve, reject) => {
+      let proc = torProc.startProc([ '-f', this.getTorrcPath() ]);
+      proc.once('error', reject); // tor binary missing
+      proc.once('spawn', resolve);
+    });
+
+    await this._waitUntilReady();
+
+    INFO(`[+] ${this.constructor.name}.start ${this.getIdentifier()} - tor running with PID ${this.pid}`);
+    return this.pid;
+  }
+
+  async stop () {
+    let pid = this.pid || this._readPidFile();
+    this.pid = null;
+
+    if (!pid) {
+      return false;
+    }
+
+    INFO(`[D] ${this.constructor.name}.stop ${this.getIdentifier()} - Killing tor PID: ${pid}`);
+
+    let err = await new Promise((resolve, reject) => ps.kill(pid, { timeout: 10 }, resolve));
+
+    if (err && err.code != 'ESRCH') { // ESRCH: already gone
+      throw new Error(err);
+    }
+
+    // Forget the PID so a later stop can't hit an unrelated process that reused it
+    fs.unlink(this.getPidFilePath(), () => {});
+
+    return true;
+  }
+
+  async restart () {
+    await this.stop();
+    return await this.start();
+  }
+
+  // Sending tor SIGHUP makes it reload its config and change exit nodes
+  async sighup () {
+    let pid = this.pid || this._readPidFile();
+
+    if (!pid) {
+      throw new Error(`${this.constructor.name}.sighup ${this.getIdentifier()} - no tor PID known`);
+    }
+
+    // Wait 1 second before checking if tor dies. Tor won't die, so it will throw err
+    let err = await new Promise((resolve, reject) => {
+      ps.kill(pid, { signal: 'SIGHUP', timeout: 1, }, resolve);
+    });
+
+    if (err && err.toString() != 'Error: Kill process timeout') {
+      throw new Error(err);
+    }
+  }
+
+  // Whether the PidFile points at a tor started with our torrc (and not some process that reused the PID)
+  async _isStaleTorRunning () {
+    let pid = this._readPidFile();
+
+    if (!pid || !this.isRunning()) {
+      return false;
+    }
+
+    let resultList = await new Promise((resolve, reject) => {
+      ps.lookup({ pid: pid }, (err, resultList) => err ? reject(new Error(err)) : resolve(resultList));
+    });
+
+    return resultList.filter(p => p && (p.arguments || []).indexOf(this.getTorrcPath()) != -1).length > 0;
+  }
+
+  _readPidFile () {
+    try {
+      return parseInt(fs.readFileSync(this.getPidFilePath(), 'utf8')) || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Wait for the daemon's PidFile, then (with a ControlPort client) for it to finish bootstrapping
+  async _waitUntilReady () {
+    let deadline = new Date().getTime() + this.startupTimeout;
+
+    while (new Date().getTime() < deadline) {
+      await new Promise((resolve, reject) => setTimeout(resolve, 500));
+
+      this.pid = this._readPidFile();
+      if (!this.pid || !this.isRunning()) {
+        continue;
+      }
+
+      if (!this.torControl) {
+        return;
+      }
+
+      try {
+        if (await this.torControl.getBootstrapProgress() >= 100) {
+          return;
+        }
+      } catch (err) {
+        vDEBUG(`[D] ${this.constructor.name} ${this.getIdentifier()} - ControlPort not ready yet: ${err.message}`);
+      }
+    }
+
+    WARN(`[-] ${this.constructor.name} ${this.getIdentifier()} - tor not fully started after ${this.startupTimeout}ms. Continuing anyway`);
+  }
+};
+
+
+
+module.exports = LocalTorInstance;
@@ -1,41 +1,109 @@
 "use strict";
 
+const EventEmitter = require('events'),
+  crypto = require('crypto'),
+  { SocksProxyAgent } = require('socks-proxy-agent'),
+  { HttpProxyAgent } = require('http-proxy-agent'),
+  { HttpsProxyAgent } = require('https-proxy-agent'),
+  CircuitBreaker = require('./CircuitBreaker'),
+  TorControlClient = require('./TorControlClient'),
+  { InvalidConfigError } = require('./ProxyRateErrors');
 
 /**
  * ProxyCircuit
  * Structure for circuits
+ *
+ * Events:
+ *   healthChanged {circuit, oldHealth, health, isHealthy}
+ *   breakerStateChanged {circuit, oldState, state}
  */
-class ProxyCircuit {
+class ProxyCircuit extends EventEmitter {
   constructor (args) {
+    super();
+
     let circuitDefaults = {
       host: '0.0.0.0', 
       port: 9050, 
       username: null,
       password: null,
-      type: "socks5h", // default socks5h. Other options: "http" and "https" (not socks5)
+      type: "socks5h", // see ProxyCircuit.TYPES. "https" is an http proxy reached over TLS
       poll_wait_interval: null, // in ms. default is 5s for tor, 2 minutes for proxy
       name: null, // can find circuit by name
       addToCyclingCircuitPool: true, // set to false to ONLY allow clients to use this circuit by name
-      isLocalTor: false, // pass true to start up and manage tor
+      tags: [], // free-form labels to filter circuits by in createClient, ex: ["residential", "eu"]
+      pools: [], // names of the pools this circuit belongs to. createClient({pool: "scrapers"})
+      isLocalTor: false, // pass true to start up and manage a tor instance for this circuit
+      controlPort: null, // tor ControlPort used to request new exit nodes. port + 1 by default for local tor
+      controlHost: '127.0.0.1',
+      controlPassword: null, // tor HashedControlPassword. cookie auth is used if not provided
+      controlCookieFile: null, // path to tor's control_auth_cookie. read from tor if not provided
+      torDataDirectory: null, // local tor only. DataDirectory for this circuit's tor. default is under manager.torDataDirectory
+      torrcLines: [], // local tor only. extra raw torrc lines for this circuit's tor, ex: ["ExitNodes {us}"]
+
+      // How a non-tor circuit gets a new exit IP in place (rotating proxy providers). One of:
+      //   {type: "url", url, method: "GET", headers: {}, settleTime: 2000} - call the provider's rotate URL
+      //   {type: "session", usernameTemplate: "user-session-{session}", sessionLength: 8} - new session id in the username
+      //   {type: "function", fn: async (circuit) => {}} - or pass the async function itself
+      // settleTime is ms to wait after rotating before checking the new IP (default 2000 for url, 0 otherwise)
+      rotation: null,
 
       activeExitNodeIP: null,
       lastIPPollTime: 0, // start with timestamp of 0, meaning 1970 I guess
-      healInterval: 1000 * 60 * 20, // how often to add health (in ms)
-      healAmountPerInterval: 10, // how much health to add every <healInterval> ms
+      lastIPChangeTime: 0, // when the exit IP last changed. 0 if it never has
+
+      // thresholds of this circuit's health model, ex: {minSuccessRate: 0.7, openDuration: 60000}. see CircuitBreaker
+      circuitBreaker: {},
     };
 
     // time between IP poll checks in ms. default is 5s for tor, 2 minutes for proxy
     this.poll_wait_interval = this.poll_wait_interval || (this.isLocalTor ?  1000 * 5 : 1000 * 60 * 2);
 
-    this.health = 100; // estimation of reliability for circuit
+    this.health = 100; // 0-100 estimation of reliability for circuit. kept in sync with the breaker's score
     this.valid = true;
     this.pollingClient = null;
+    this.torInstance = null; // LocalTorInstance managed for this circuit if isLocalTor
+    this.isCurrentlyRestarting = false;
+    this.isCurrentlyChanging = false; // true while this circuit's exit IP is being changed
+    this.pendingCallbacks = []; // resolve functions of callers waiting for this circuit's IP to settle
 
     // Store attributes onto this struct directly
     Object.assign(this, circuitDefaults, args); // override defaults with args
 
-    // Start interval to heal (add default health) every so often to retest circuit later
-    this.healIntFD = setInterval(() => this.promoteHealth(this.healAmountPerInterval), this.healInterval);
+    if (ProxyCircuit.TYPES.indexOf(this.type) == -1) {
+      throw new InvalidConfigError(`${this.constructor.name} - unknown proxy type "${this.type}" for ${this.host}:${this.port}. Use one of: ${ProxyCircuit.TYPES.join(', ')}`, {field: "type"});
+    } else if (this.type.startsWith('socks4') && this.password) {
+      WARN(`[-] ${this.constructor.name} - ${this.type} has no password auth. Only the username is sent for ${this.host}:${this.port}`);
+    }
+
+    this.agentCache = {}; // http.Agents through this circuit, for the proxy URL in agentCacheURL
+    this.agentCacheURL = null;
+    this.rotation = ProxyCircuit.normalizeRotation(this.rotation);
+    if (this.rotation && this.rotation.type == "session") {
+      this.regenerateSession(); // username comes from the template
+    }
+
+    this.breaker = new CircuitBreaker(this.circuitBreaker || {});
+    this.breaker.on('stateChanged', ({oldState, state}) => {
+      INFO(`[+] ${this.constructor.name} [${this.getRedactedIdentifier()}] - circuit breaker ${oldState} => ${state}`);
+      this.emit('breakerStateChanged', {circuit: this, oldState: oldState, state: state});
+    });
+    this.probeTimer = null; // set by the manager while the breaker is open
+
+    this.tags = [].concat(this.tags || []);
+    this.pools = [].concat(this.pools || []);
+
+    // Every local tor circuit runs its own tor. 9050 => 9051 like tor's own defaults
+    if (this.isLocalTor && this.controlPort == null) {
+      this.controlPort = Number(this.port) + 1; // port may be a string from a config file
+    }
+
+    // Tor circuits with a ControlPort change exit nodes through it instead of SIGHUP
+    this.torControl = this.controlPort ? new TorControlClient({
+      host: this.controlHost,
+      port: this.controlPort,
+      password: this.controlPassword,
+      cookieFile: this.controlCookieFile,
+    }) : null;
   }
 
   // Get the connection URL for a proxy - AND the circuit's specified name in front if applicable
@@ -44,11 +112,116 @@ class ProxyCircuit {
     return name + this.getProxyIDString();
   }
 
-  // Get the connection URL for a proxy
-  getProxyIDString () {
-    let unpw = (this.username || this.password) ? `${this.username || ''}:${this.password || ''}@` : "";
+  // Get the proxy URL identifying this circuit. Stays the same across session rotations
+  getProxyIDString (redactPassword=false) {
+    return ProxyCircuit.formatProxyIDString(this, redactPassword);
+  }
+
+  // Get the connection URL for a proxy, with the username currently in use. Credentials are URL encoded
+  getProxyURL () {
+    let host = (this.host.indexOf(':') != -1) ? `[${this.host}]` : this.host; // ipv6
+    let url = new URL(`${this.type}://${host}:${this.port}`);
+
+    url.username = this.username || '';
+    url.password = this.password || '';
+
+    return url.href.replace(/\/$/, '');
+  }
+
+  isSocks () {
+    return this.type.startsWith('socks');
+  }
+
+  /**
+   * http.Agent for socks4, socks4a, socks5 and socks5h, usable for http and https requests.
+   * socks4 and socks5 resolve hostnames locally. socks4a and socks5h let the proxy resolve them.
+   * Rebuilt when the proxy URL changes (session rotation changes the username)
+   */
+  getSocksProxyAgent () {
+    return this._getCachedAgent('socks', url => new SocksProxyAgent(url));
+  }
+
+  /**
+   * http.Agent that sends requests through this circuit, whatever its type
+   * @param {Boolean} secureEndpoint - true for https targets (http proxies CONNECT to those)
+   */
+  getProxyAgent (secureEndpoint=false) {
+    if (this.isSocks()) {
+      return this.getSocksProxyAgent();
+    } else if (secureEndpoint) {
+      return this._getCachedAgent('https', url => new HttpsProxyAgent(url));
+    } else {
+      return this._getCachedAgent('http', url => new HttpProxyAgent(url));
+    }
+  }
+
+  _getCachedAgent (kind, createAgent) {
+    let url = this.getProxyURL();
+
+    // session rotation changed the username. agents for the old URL would keep the old session
+    if (this.agentCacheURL != url) {
+      this.agentCache = {};
+      this.agentCacheURL = url;
+    }
+
+    return this.agentCache[kind] = this.agentCache[kind] || createAgent(url);
+  }
+
+  // Same string for plain circuitDetails, so circuits can be matched before they are created
+  static formatProxyIDString (details, redactPassword=false) {
+    let rotation = details.rotation;
+    let username = (rotation && rotation.usernameTemplate) || details.username;
+
+    return ProxyCircuit.formatProxyURL({
+      type: details.type, username: username, password: details.password, host: details.host, port: details.port,
+    }, redactPassword);
+  }
+
+  static formatProxyURL ({type="socks5h", username=null, password=null, host='0.0.0.0', port=9050}, redactPassword=false) {
+    let pw = (redactPassword && password) ? '***' : (password || '');
+    let unpw = (username || password) ? `${username || ''}:${pw}@` : "";
 
-    return `${this.type}://${unpw}${this.host}:${this.port}`;
+    return `${type}://${unpw}${host}:${port}`;
+  }
+
+  // rotation option => {type, ...} with defaults filled in. Throws InvalidConfigError on bad config
+  static normalizeRotation (rotation) {
+    if (!rotation) {
+      return null;
+    } else if (typeof(rotation) == "function") {
+      rotation = {type: "function", fn: rotation};
+    }
+
+    let defaults = {
+      url: {method: "GET", headers: {}, settleTime: 1000 * 2},
+      session: {sessionLength: 8, settleTime: 0},
+      function: {settleTime: 0},
+    }[rotation.type];
+
+    if (!defaults) {
+      throw new InvalidConfigError(`ProxyCircuit.normalizeRotation - unknown rotation type "${rotation.type}". Use "url", "session" or "function"`, {field: "rotation"});
+    } else if (rotation.type == "url" && !rotation.url) {
+      throw new InvalidConfigError(`ProxyCircuit.normalizeRotation - url rotation needs a url`, {field: "rotation"});
+    } else if (rotation.type == "session" && !/\{session\}/.test(rotation.usernameTemplate || '')) {
+      throw new InvalidConfigError(`ProxyCircuit.normalizeRotation - session rotation needs a usernameTemplate containing {session}`, {field: "rotation"});
+    } else if (rotation.type == "function" && typeof(rotation.fn) != "function") {
+      throw new InvalidConfigError(`ProxyCircuit.normalizeRotation - function rotation needs fn`, {field: "rotation"});
+    }
+
+    return Object.assign({}, defaults, rotation);
+  }
+
+  // Session rotation: a new session id in the username makes the provider hand out a new exit IP
+  regenerateSession () {
+    let session = crypto.randomBytes(this.rotation.sessionLength).toString('hex').substr(0, this.rotation.sessionLength);
+    this.username = this.rotation.usernameTemplate.replace(/\{session\}/g, session);
+    return session;
+  }
+
+  // getIdentifier without the password. For anything shown outside this process (metrics, admin API)
+  getRedactedIdentifier () {
+    let name = this.name ? `(${this.name}) ` : "";
+    return name + this.getProxyIDString(true);
   }
 
   // Get object defining the socksAgents options for this circuit
@@ -61,6 +234,68 @@ class ProxyCircuit {
     }
   }
 
+  // Whether this circuit's exit node can be changed in place (instead of moving clients to another circuit)
+  canChangeExitNode () {
+    return this.isLocalTor || !!this.torControl || !!this.rotation;
+  }
+
+  isChanging () { return this.isCurrentlyChanging; }
+  markChanging () { this.isCurrentlyChanging = true; }
+
+  // Resolves once this circuit's exit IP has settled (true) or the change was given up (false)
+  waitForIPChange () {
+    return new Promise((resolve, reject) => this.pendingCallbacks.push(resolve));
+  }
+
+  // Mark the IP change done and release everyone waiting on THIS circuit
+  releasePendingCallbacks (didChange=true) {
+    this.isCurrentlyChanging = false;
+
+    DEBUG(`[%] ${this.constructor.name}.releasePendingCallbacks [${this.getIdentifier()}] - releasing ${this.pendingCallbacks.length} pending callbacks`);
+
+    // Fire off whatever promise resolve functions have built up while seeking new exit path
+    while (this.pendingCallbacks.length) {
+      let fn = this.pendingCallbacks.shift(); // start from front
+      if (typeof(fn) == "function") {
+        process.nextTick(() => fn(didChange));
+      }
+    }
+  }
+
+  /**
+   * Whether this circuit matches a createClient filter. Every given field must match
+   * @param {Object} filter
+   *   - pool: String. circuit is in this pool
+   *   - tags: String or Array. circuit has all these tags
+   *   - type: String or Array. circuit type is one of these
+   *   - isLocalTor: Boolean
+   *   - minHealth: Number. not checked here since health changes. circuit selection skips circuits below it
+   */
+  matchesFilter (filter={}) {
+    let asArray = (value) => Array.isArray(value) ? value : [value];
+
+    if (filter.pool != null && this.pools.indexOf(filter.pool) == -1) {
+      return false;
+    } else if (filter.tags != null && !asArray(filter.tags).every(tag => this.tags.indexOf(tag) != -1)) {
+      return false;
+    } else if (filter.type != null && asArray(filter.type).indexOf(this.type) == -1) {
+      return false;
+    } else if (filter.isLocalTor != null && !!filter.isLocalTor != !!this.isLocalTor) {
+      return false;
+    }
+
+    return true;
+  }
+
+  static validateFilter (filter) {
+    let known = ['pool', 'tags', 'type', 'isLocalTor', 'minHealth'];
+    let unknown = Object.keys(filter).filter(key => known.indexOf(key) == -1);
+
+    if (unknown.length) {
+      throw new InvalidConfigError(`ProxyCircuit.validateFilter - unknown circuit filter field(s) ${unknown.join(', ')}. Known: ${known.join(', ')}`, {field: unknown[0]});
+    }
+  }
+
   isValid () { return this.valid; }
   markInvalid () { this.valid = false; } // circuit cannot be marked valid. this means circuit dead
 
@@ -68,22 +303,61 @@ class ProxyCircuit {
     this.pollingClient = pollingClient;
   }
 
+  // Only circuits with a closed breaker are picked for clients
   isHealthy () {
-    return this.health > 20;
+    return this.breaker.isClosed();
   }
 
-  degradeHealth (degradation=10) {
-    this.health = Math.max(0, this.health - degradation);
-    DEBUG(`[D] ${this.constructor.name}.degradeHealth [${this.getIdentifier()}] - Lowering health to ${this.health}`);
+  // Outcome of one request try through this circuit. Every AdvancedProxiedRequest reports here
+  recordSuccess (latency=null) {
+    this.breaker.recordSuccess(latency);
+    this._setHealth(this.breaker.getScore());
+    vDEBUG(`[D] ${this.constructor.name}.recordSuccess [${this.getIdentifier()}] - ${latency}ms. health ${this.health}`);
   }
 
-  promoteHealth (improvement=10) {
-    this.health = Math.min(100, this.health + improvement);
-    vDEBUG(`[D] ${this.constructor.name}.degradeHealth [${this.getIdentifier()}] - Increasing health to ${this.health}`);
+  recordFailure () {
+    this.breaker.recordFailure();
+    this._setHealth(this.breaker.getScore());
+    DEBUG(`[D] ${this.constructor.name}.recordFailure [${this.getIdentifier()}] - health ${this.health} (${this.breaker.state})`);
   }
 
-  getHealth () { return this.health; }
+  // Open breaker => half-open once its openDuration has passed. The manager then sends probes
+  startProbing () {
+    this.breaker.halfOpen();
+    this._setHealth(this.breaker.getScore());
+  }
+
+  _setHealth (health) {
+    let oldHealth = this.health;
+    this.health = health;
+
+    if (oldHealth != health) {
+      this.emit('healthChanged', {circuit: this, oldHealth: oldHealth, health: health, isHealthy: this.isHealthy()});
+    }
+  }
+
+  // 0-100 number to compare circuits by (selection, minHealth filters)
+  getHealthScore () { return this.health; }
+
+  /**
+   * Detailed health
+   * @return {Object} {state, score, isHealthy, successRate, latency, samples, consecutiveFailures,
+   *   totalSuccesses, totalFailures, lastSuccessTime, lastFailureTime, openedAt, timeUntilProbe}
+   *   state is "closed", "open" or "half-open". successRate (0-1) and latency (ms, of successes) are EWMAs
+   */
+  getHealth () {
+    return Object.assign({isHealthy: this.isHealthy()}, this.breaker.getStats());
+  }
 };
 
+// Proxy types a circuit can be
+//   http    - plain http proxy (CONNECT for https targets)
+//   https   - http proxy reached over TLS
+//   socks4  - SOCKS4, hostnames resolved locally
+//   socks4a - SOCKS4a, hostnames resolved by the proxy
+//   socks5  - SOCKS5, hostnames resolved locally
+//   socks5h - SOCKS5, hostnames resolved by the proxy (what tor wants)
+ProxyCircuit.TYPES = ['http', 'https', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+
 
 module.exports = ProxyCircuit;
@@ -0,0 +1,313 @@
+"use strict";
+
+const http = require('http'),
+  crypto = require('crypto'),
+  { InvalidConfigError } = require('./ProxyRateErrors');
+
+
+/**
+ * ProxyRateAdmin
+ * Opt-in HTTP admin API to inspect and control a running ProxyRateManager.
+ * Binds to localhost by default. Every request needs "Authorization: Bearer <token>".
+ *
+ *   GET  /circuits          circuits with health, exit IP, last poll time and attached clients
+ *   POST /circuits          add a circuit. body is circuitDetails as passed to addCircuit, without the fields
+ *                           that touch the filesystem (REFUSED_CIRCUIT_FIELDS). url rotations only to allowedRotationHosts
+ *   POST /circuits/remove   {"circuit": "<name or identifier>"}
+ *   POST /circuits/rotate   {"circuit": "<name or identifier>"} - change the exit IP now
+ *   GET  /usage             per-IP/action quota left under each rule
+ *   GET  /blacklist
+ *   POST /blacklist         {"ip": "1.2.3.4"}
+ *   GET  /bans              bans from ban classifiers or banIP that haven't expired
+ *
+ * let admin = new ProxyRateAdmin({manager: proxyRateManager, token: process.env.PRM_ADMIN_TOKEN});
+ * await admin.listen({port: 9465});
+ */
+class ProxyRateAdmin {
+  constructor (args={}) {
+    this.manager = args.manager;
+
+    // generated if not passed. logged once on listen so it can be copied
+    this.tokenWasGenerated = !args.token;
+    this.token = args.token || crypto.randomBytes(24).toString('hex');
+
+    this.maxBodySize = args.maxBodySize || 1024 * 64;
+    this.allowedRotationHosts = args.allowedRotationHosts || []; // hosts POST /circuits may give url rotations for
+
+    this.server = null;
+
+    this.routes = {
+      'GET /circuits': (body) => this.getCircuits(),
+      'POST /circuits': (body) => this.addCircuit(body),
+      'POST /circuits/remove': (body) => this.removeCircuit(body),
+      'POST /circuits/rotate': (body) => this.rotateCircuit(body),
+      'GET /usage': (body) => this.getUsage(),
+      'GET /blacklist': (body) => this.getBlacklist(),
+      'POST /blacklist': (body) => this.blacklistIP(body),
+      'GET /bans': (body) => this.manager.getBans(),
+    };
+  }
+
+  /**
+   * Start serving the admin API
+   * @return {http.Server}
+   */
+  async listen ({port=9465, host='127.0.0.1'}={}) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    INFO(`[+] ${this.constructor.name} - serving admin API on http://${host}:${this.server.address().port}/`);
+
+    if (this.tokenWasGenerated) {
+      INFO(`[+] ${this.constructor.name} - no token passed. Generated admin token: ${this.token}`);
+    }
+
+    return this.server;
+  }
+
+  async close () {
+    if (this.server) {
+      await new Promise((resolve, reject) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  async getCircuits () {
+    return this.manager.getAllCircuits().map(c => this._describeCircuit(c));
+  }
+
+  async addCircuit (circuitDetails) {
+    if (!circuitDetails || typeof(circuitDetails) != "object" || !circuitDetails.host || !circuitDetails.port) {
+      throw new AdminRequestError(400, `circuit details with at least host and port are required`);
+    }
+
+    let refused = ProxyRateAdmin.REFUSED_CIRCUIT_FIELDS.filter(field => circuitDetails[field] != null);
+    let rotation = circuitDetails.rotation;
+
+    if (refused.length) {
+      throw new AdminRequestError(400, `${refused.join(', ')} can't be set over the admin API`);
+    } else if (rotation && rotation.type == "url" && !this._isAllowedRotationURL(rotation.url)) {
+      throw new AdminRequestError(400, `rotation url host is not in allowedRotationHosts`);
+    } else if (circuitDetails.name && this._findCircuit(circuitDetails.name)) {
+      throw new AdminRequestError(409, `a circuit named ${circuitDetails.name} already exists`);
+    }
+
+    let circuit;
+    try {
+      circuit = await this.manager.addCircuit(circuitDetails); // checks type, rotation, duplicates and tor ports first
+    } catch (err) {
+      if (err instanceof InvalidConfigError) {
+        throw new AdminRequestError(err.isDuplicate ? 409 : 400, err.message);
+      }
+      throw err;
+    }
+
+    INFO(`[+] ${this.constructor.name} - added circuit ${circuit.getRedactedIdentifier()}`);
+
+    return this._describeCircuit(circuit);
+  }
+
+  async removeCircuit (body) {
+    let circuit = this._requireCircuit(body);
+
+    await this.manager._removeCircuit(circuit);
+    INFO(`[+] ${this.constructor.name} - removed circuit ${circuit.getRedactedIdentifier()}`);
+
+    return this._describeCircuit(circuit);
+  }
+
+  async rotateCircuit (body) {
+    let circuit = this._requireCircuit(body);
+
+    if (!circuit.canChangeExitNode()) {
+      throw new AdminRequestError(400, `circuit ${circuit.getRedactedIdentifier()} has no way to change its exit IP`);
+    }
+
+    let oldIp = circuit.activeExitNodeIP;
+    await this.manager.forceIPChangeImmediately(circuit);
+
+    return {circuit: circuit.getRedactedIdentifier(), oldIp: oldIp, newIp: circuit.activeExitNodeIP};
+  }
+
+  // {ip: {actionName: {remaining, availableAt, rules: [{type, limit, count, remaining, availableAt...}]}}}
+  // scoped actions are listed per scope, as "<actionName>@<scope>"
+  async getUsage () {
+    let usage = {};
+    let ips = await this.manager.store.getIPs();
+
+    // include IPs in use that have nothing recorded yet
+    for (let c of this.manager.getAllCircuits()) {
+      if (c.activeExitNodeIP && ips.indexOf(c.activeExitNodeIP) == -1) {
+        ips.push(c.activeExitNodeIP);
+      }
+    }
+
+    for (let ip of ips) {
+      usage[ip] = {};
+
+      for (let stat of await this.manager._getStatNamesForIP(ip)) {
+        let quota = await this.manager.getActionQuota(ip, stat.actionName, stat.scope);
+
+        usage[ip][stat.statName] = {remaining: quota.remaining, availableAt: quota.availableAt, rules: quota.rules};
+      }
+    }
+
+    return usage;
+  }
+
+  async getBlacklist () {
+    return Object.keys(this.manager.blacklistedIPs).filter(ip => this.manager.blacklistedIPs[ip]);
+  }
+
+  // Circuits on the IP keep it until their next availability check, which will then change it
+  async blacklistIP (body) {
+    if (!body || typeof(body.ip) != "string" || !body.ip) {
+      throw new AdminRequestError(400, `"ip" is required`);
+    }
+
+    this.manager.blacklistedIPs[body.ip] = true;
+    INFO(`[+] ${this.constructor.name} - blacklisted IP ${body.ip}`);
+
+    let circuitsOnIP = this.manager.getAllCircuits().filter(c => c.activeExitNodeIP == body.ip);
+
+    return {ip: body.ip, circuitsOnIP: circuitsOnIP.map(c => c.getRedactedIdentifier())};
+  }
+
+  _describeCircuit (circuit) {
+    return {
+      identifier: circuit.getRedactedIdentifier(),
+      name: circuit.name,
+      type: circuit.type,
+      isLocalTor: circuit.isLocalTor,
+      inPool: circuit.addToCyclingCircuitPool,
+      pools: circuit.pools,
+      tags: circuit.tags,
+      valid: circuit.isValid(),
+      health: circuit.getHealth(),
+      isHealthy: circuit.isHealthy(),
+      exitIP: circuit.activeExitNodeIP,
+      lastIPPollTime: circuit.lastIPPollTime,
+      isChanging: circuit.isChanging(),
+      clients: this.manager.clients.filter(client => client.circuit == circuit).map(client => client.clientName),
+    };
+  }
+
+  _isAllowedRotationURL (url) {
+    try {
+      return this.allowedRotationHosts.indexOf(new URL(url).hostname) != -1;
+    } catch (err) {
+      return false; // not a url
+    }
+  }
+
+  // by name, full identifier or redacted identifier
+  _findCircuit (key) {
+    return this.manager.getAllCircuits().find(c => c.name == key || c.getIdentifier() == key || c.getRedactedIdentifier() == key);
+  }
+
+  _requireCircuit (body) {
+    if (!body || typeof(body.circuit) != "string") {
+      throw new AdminRequestError(400, `"circuit" (name or identifier) is required`);
+    }
+
+    let circuit = this._findCircuit(body.circuit);
+
+    if (!circuit) {
+      throw new AdminRequestError(404, `no circuit ${body.circuit}`);
+    }
+
+    return circuit;
+  }
+
+  _isAuthorized (req) {
+    let match = /^Bearer (.+)$/.exec(req.headers['authorization'] || '');
+    if (!match) {
+      return false;
+    }
+
+    // compare digests so lengths match and timing says nothing about the token
+    let given = crypto.createHash('sha256').update(match[1]).digest();
+    let expected = crypto.createHash('sha256').update(this.token).digest();
+
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  async _handle (req, res) {
+    try {
+      if (!this._isAuthorized(req)) {
+        throw new AdminRequestError(401, `unauthorized`);
+      }
+
+      let route = this.routes[`${req.method} ${req.url.split('?')[0].replace(/\/+$/, '')}`];
+      if (!route) {
+        throw new AdminRequestError(404, `no route ${req.method} ${req.url}`);
+      }
+
+      let body = await this._readBody(req);
+      this._respond(res, 200, await route(body));
+    } catch (err) {
+      if (err instanceof AdminRequestError) {
+        return this._respond(res, err.statusCode, {error: err.message});
+      }
+
+      WARN(`[-] ${this.constructor.name} - ${req.method} ${req.url} failed: ${err}`);
+      this._respond(res, 500, {error: String(err && err.message || err)});
+    }
+  }
+
+  _readBody (req) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new AdminRequestError(413, `body larger than ${this.maxBodySize} bytes`));
+          return req.destroy();
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        let raw = Buffer.concat(chunks).toString();
+        if (!raw.trim()) {
+          return resolve(null);
+        }
+
+        try {
+          resolve(JSON.parse(raw));
+        } catch (err) {
+          reject(new AdminRequestError(400, `body is not valid JSON`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  _respond (res, statusCode, obj) {
+    res.writeHead(statusCode, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(obj, null, 2) + '\n');
+  }
+};
+
+// circuitDetails POST /circuits refuses: they create directories, write raw tor config, read files or send
+// cookie auth (a file tor's reply names) to another host
+ProxyRateAdmin.REFUSED_CIRCUIT_FIELDS = ['torDataDirectory', 'torrcLines', 'controlCookieFile', 'controlHost'];
+
+
+class AdminRequestError extends Error {
+  constructor (statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+};
+
+
+
+module.exports = ProxyRateAdmin;
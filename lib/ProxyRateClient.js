@@ -1,5 +1,8 @@
 "use strict";
 
+const CircuitSelectionStrategies = require('./CircuitSelectionStrategies'),
+  ProxyRateClientAgent = require('./ProxyRateClientAgent'),
+  { QuotaExhaustedError, InvalidConfigError } = require('./ProxyRateErrors');
 
 /**
  * ProxyRateClient
@@ -12,6 +15,18 @@ class ProxyRateClient {
     this.isPollingClient = args.isPollingClient || false;
 
     this.clientName = args.clientName || `Client #${this.clientId}`;
+
+    // overrides the manager's circuitSelectionStrategy for this client if set
+    this.selectionStrategy = args.selectionStrategy ? CircuitSelectionStrategies.get(args.selectionStrategy) : null;
+    this.selectionState = {};
+    this.actionName = args.actionName || null; // main action of this client, for quota based selection
+    this.scope = args.scope || null; // its scope, if it is a scoped action
+    this.lastActionName = null;
+    this.lastScope = null;
+    this.circuitFilter = null; // {pool, tags, type, isLocalTor, minHealth} this client's circuits must match. set by createClient
+
+    this.agents = {}; // protocol => ProxyRateClientAgent
+    this.dispatcher = null; // ProxyRateClientDispatcher
   }
 
   getSocksAgentOptions () {
@@ -22,12 +37,51 @@ class ProxyRateClient {
     return this.circuit.activeExitNodeIP;
   }
 
+  /**
+   * http.Agent (https.Agent for https urls) routing through this client's circuit, for any HTTP library.
+   * Keeps following the client when it is moved to another circuit.
+   * Rate limits still need acquire()/reportNewAction() around your requests.
+   *
+   * axios.get(url, {httpAgent: client.getAgent('http:'), httpsAgent: client.getAgent('https:'), proxy: false});
+   * @param {String} url - url (or just protocol) the agent will be used for
+   */
+  getAgent (url='http:') {
+    let protocol = /^https:/i.test(url) ? 'https:' : 'http:';
+
+    this.agents[protocol] = this.agents[protocol] || new ProxyRateClientAgent({client: this, protocol: protocol});
+    return this.agents[protocol];
+  }
+
+  /**
+   * undici Dispatcher for fetch routing through this client's circuit. Follows the client like getAgent.
+   * Requires the optional dependency undici
+   *
+   * await fetch(url, {dispatcher: client.getDispatcher()});
+   */
+  getDispatcher () {
+    if (!this.dispatcher) {
+      let ProxyRateClientDispatcher;
+      try {
+        ProxyRateClientDispatcher = require('./ProxyRateClientDispatcher');
+      } catch (err) {
+        if (err.code != 'MODULE_NOT_FOUND' || !/undici/.test(err.message)) {
+          throw err;
+        }
+        throw new Error(`${this.constructor.name}.getDispatcher - undici is required for fetch dispatchers. npm install undici`);
+      }
+
+      this.dispatcher = new ProxyRateClientDispatcher({client: this});
+    }
+
+    return this.dispatcher;
+  }
+
   _changeToRandomCircuit () {
     if (this.isPollingClient) { // Polling clients cannot change circuit
       return;
     }
 
-    this.circuit = this.manager._getRandomCircuit(this.circuit); // providing circuitId to ensure it is omitted in options
+    this.circuit = this.manager._selectCircuit(this.circuit, this); // providing circuit to ensure it is omitted in options
   }
 
   /**
@@ -35,8 +89,10 @@ class ProxyRateClient {
    * change happens instantly. may cause minor trouble with stats, but not generally
    */
   async forceIPChangeImmediately () {
-    if (this.circuit.isLocalTor) {
-      return await this.manager.forceIPChangeImmediately();
+    this.manager._checkOpen(`${this.constructor.name}.forceIPChangeImmediately [${this.clientName}]`);
+
+    if (this.circuit.canChangeExitNode()) {
+      return await this.manager.forceIPChangeImmediately(this.circuit);
     } else if (!this.circuit.addToCyclingCircuitPool) {
       INFO(
         `[-] ProxyRateClient.forceIPChangeImmediately - [${this.clientName}] is using rigid circuit` +
@@ -47,34 +103,175 @@ class ProxyRateClient {
     }
   }
 
-  async changeIPIfNecessary (actionName) {
-    if (!this.circuit.addToCyclingCircuitPool) {
-      DIE(
-        `[-] ProxyRateClient.changeIPIfNecessary - [${this.clientName}] is using rigid circuit`
-        + ` [${this.circuit.getIdentifier()}] outside of pool and cannot change. Should never call this!!`
-      );
+  /**
+   * Change IP if the current one has no free slot for actionName
+   * @param {String} actionName
+   * @param {Object} options - see acquire. wait defaults to false here: change IP once and return
+   * @return {Boolean} false if the current IP already had a free slot
+   */
+  async changeIPIfNecessary (actionName, {wait=false, maxWait=null, signal=null, scope=null}={}) {
+    let caller = `${this.constructor.name}.changeIPIfNecessary [${this.clientName}]`;
+    this.manager._checkOpen(caller);
+    this.lastActionName = actionName;
+    this.lastScope = scope;
+
+    if (!this.circuit.addToCyclingCircuitPool && !this.circuit.canChangeExitNode()) {
+      throw new InvalidConfigError(
+        `ProxyRateClient.changeIPIfNecessary - [${this.clientName}] is using rigid circuit`
+        + ` [${this.circuit.getRedactedIdentifier()}] outside of pool and cannot change. Should never call this!!`
+      , {circuit: this.circuit});
     }
 
-    if (this.manager._isIPAvailableForRequests(this.circuit.activeExitNodeIP, actionName)) {
+    if (await this.manager._isIPAvailableForRequests(this.circuit.activeExitNodeIP, actionName, scope)) {
       return false;
-    } else {
+    } else if (!wait) {
       // NOTE: this below actually *double checks* unnecessarily. whatever
       //return await this.manager.changeIPIfNecessary(this.circuit, actionName);
 
       // propagate properly
       return await this.forceIPChangeImmediately();
     }
+
+    let state = this._newWaitState(maxWait);
+
+    do {
+      await this._makeRoomFor(actionName, {wait: true, signal: signal, scope: scope, caller: caller}, state);
+
+      if (this.circuit.isChanging()) {
+        await this.circuit.waitForIPChange();
+      }
+    } while (!(await this.manager._isIPAvailableForRequests(this.circuit.activeExitNodeIP, actionName, scope)));
+
+    return true;
   }
 
-  reportNewAction (action) {
-    if (!this.circuit.addToCyclingCircuitPool) {
-      DIE(
-        `[-] ProxyRateClient.reportNewAction - [${this.clientName}] is using rigid circuit`
-        + ` [${this.circuit.getIdentifier()}] outside of pool and cannot change. Should never call this!!`
-      );
+  /**
+   * Reserve a slot for an action on the current exit IP before sending the request.
+   * Changes IP if the current one is full, or waits for a slot if it can't change.
+   * The reserved slot counts toward the limit right away, so concurrent callers can't overshoot it.
+   *
+   * let reservation = await proxyClient.acquire("apirequest1");
+   * ...send request...
+   * await reservation.commit(); // or await reservation.release() if it was never sent
+   *
+   * When every reachable IP is full, waits until the earliest one frees a slot (see manager.getEarliestAvailableSlot)
+   *
+   * @param {String} actionName
+   * @param {Object} options
+   *   - wait: false to reject with QuotaExhaustedError instead of waiting when no IP change frees a slot
+   *   - maxWait: ms. reject with QuotaExhaustedError right away if no slot frees up within it. null waits as long as needed
+   *   - signal: AbortSignal. aborting rejects with signal.reason
+   *   - scope: target host or custom key, for actions kept per scope (see manager.addRateLimitActionKey)
+   * @return {ActionReservation}
+   */
+  async acquire (actionName, {wait=true, maxWait=null, signal=null, scope=null}={}) {
+    let caller = `${this.constructor.name}.acquire [${this.clientName}]`;
+    let state = this._newWaitState(maxWait);
+    this.lastActionName = actionName;
+    this.lastScope = scope;
+
+    while (true) {
+      this.manager._checkOpen(caller);
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      if (this.circuit.isChanging()) {
+        await this.circuit.waitForIPChange();
+      }
+
+      let reservation = await this.manager._reserveAction(this.circuit, actionName, scope);
+
+      if (reservation) {
+        return reservation;
+      }
+
+      await this._makeRoomFor(actionName, {wait: wait, signal: signal, scope: scope, caller: caller}, state);
+    }
+  }
+
+  _newWaitState (maxWait) {
+    return {numChanges: 0, deadline: (maxWait == null) ? null : new Date().getTime() + maxWait};
+  }
+
+  /**
+   * The current IP is full for actionName. Move to a reachable circuit with a free slot, change IP,
+   * or sleep until the earliest slot frees up. Throws QuotaExhaustedError if not waiting or past the deadline
+   */
+  async _makeRoomFor (actionName, {wait, signal, scope, caller}, state) {
+    let canMove = !this.isPollingClient && this.circuit.addToCyclingCircuitPool;
+    let earliest = await this.manager.getEarliestAvailableSlot(actionName, this._getReachableCircuits(), scope);
+    let statName = this.manager._getStatName(actionName, scope);
+    let now = new Date().getTime();
+
+    if (earliest && earliest.time <= now && earliest.circuit != this.circuit && canMove) {
+      DEBUG(`[D] ${caller} - ${statName} full on ${this.circuit.activeExitNodeIP}. Moving to ${earliest.circuit.getIdentifier()} (${earliest.ip})`);
+      this.circuit = earliest.circuit;
+      return;
+    }
+
+    // new exit IPs are unknown, so rotating may still find room. hopping circuits only if their IPs aren't known yet
+    let canChangeIP = this.circuit.canChangeExitNode() || (canMove && !earliest);
+
+    if (canChangeIP && state.numChanges < this.manager.MAX_CHANGE_TRIES) {
+      state.numChanges++;
+      return await this.forceIPChangeImmediately();
+    }
+
+    let availableAt = earliest ? earliest.time : null;
+
+    if (!wait || (state.deadline != null && (availableAt == null || availableAt > state.deadline))) {
+      let ip = this.circuit.activeExitNodeIP;
+      let when = availableAt ? ` until ${new Date(availableAt).toISOString()}` : '';
+
+      throw new QuotaExhaustedError(`${caller} - no ${statName} slot free on ${ip}${when}`, {
+        ip: ip,
+        actionName: actionName,
+        scope: scope,
+        limit: this.manager.actionLimits[actionName],
+        availableAt: availableAt,
+      });
+    }
+
+    // re-check at least every minute: circuits may change IP or come back meanwhile
+    let waitTime = availableAt ? availableAt - now : 1000;
+    waitTime = Math.min(Math.max(waitTime, 100), 1000 * 60);
+    if (state.deadline != null) {
+      waitTime = Math.min(waitTime, Math.max(state.deadline - now, 0) + 1);
+    }
+
+    DEBUG(`[D] ${caller} - no ${statName} slot free on reachable IPs. Waiting ${waitTime}ms`);
+    await this.manager._sleep(waitTime, signal);
+    state.numChanges = 0; // slots free up over time. new IPs might have too
+  }
+
+  // This client's circuit first, then the healthy pool circuits it may move to (matching its filter)
+  _getReachableCircuits () {
+    if (this.isPollingClient || !this.circuit.addToCyclingCircuitPool) {
+      return [this.circuit];
+    }
+
+    let filter = this.circuitFilter;
+    let minHealth = (filter && filter.minHealth) || 0;
+
+    let others = this.manager.circuits.filter((c) => {
+      return c != this.circuit && c.isHealthy() && c.getHealthScore() >= minHealth && (!filter || c.matchesFilter(filter));
+    });
+
+    return [this.circuit].concat(others);
+  }
+
+  async reportNewAction (action, scope=null) {
+    this.manager._checkOpen(`${this.constructor.name}.reportNewAction [${this.clientName}]`);
+
+    if (!this.circuit.addToCyclingCircuitPool && !this.circuit.canChangeExitNode()) {
+      throw new InvalidConfigError(
+        `ProxyRateClient.reportNewAction - [${this.clientName}] is using rigid circuit`
+        + ` [${this.circuit.getRedactedIdentifier()}] outside of pool and cannot change. Should never call this!!`
+      , {circuit: this.circuit});
     }
 
-    this.manager.reportNewAction(action, this.circuit);
+    return await this.manager.reportNewAction(action, this.circuit, scope);
   }
 };
 
@@ -0,0 +1,34 @@
+"use strict";
+
+const { Agent } = require('agent-base');
+
+
+/**
+ * ProxyRateClientAgent
+ * http.Agent for any HTTP library (http.request, axios, got, ...) that sends each request
+ * through the circuit its ProxyRateClient is on at that moment. Get one with client.getAgent(url)
+ */
+class ProxyRateClientAgent extends Agent {
+  constructor (args) {
+    super(args.agentOptions);
+
+    this.client = args.client;
+    this.protocol = args.protocol || 'http:'; // node checks this matches the request's protocol
+  }
+
+  // agent-base hands the request to the agent returned here
+  connect (req, opts) {
+    let circuit = this.client.circuit;
+    this.client.manager._checkOpen(`${this.constructor.name} [${this.client.clientName}]`);
+
+    if (!circuit || !circuit.isValid()) {
+      throw new Error(`${this.constructor.name} - [${this.client.clientName}] has no usable circuit`);
+    }
+
+    return circuit.getProxyAgent(opts.secureEndpoint);
+  }
+};
+
+
+
+module.exports = ProxyRateClientAgent;
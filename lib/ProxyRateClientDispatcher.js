@@ -0,0 +1,111 @@
+"use strict";
+
+const net = require('net'),
+  tls = require('tls'),
+  CircuitConnector = require('./CircuitConnector'),
+  { Dispatcher, Agent, ProxyAgent } = require('undici'); // optional dependency. see ProxyRateClient.getDispatcher
+
+// circuit => {url, dispatcher}. one undici dispatcher per circuit, shared by every client on it
+const circuitDispatchers = new WeakMap();
+
+
+/**
+ * ProxyRateClientDispatcher
+ * undici Dispatcher (fetch's dispatcher option) that sends each request through
+ * the circuit its ProxyRateClient is on at that moment. Get one with client.getDispatcher()
+ */
+class ProxyRateClientDispatcher extends Dispatcher {
+  constructor (args) {
+    super();
+
+    this.client = args.client;
+  }
+
+  dispatch (opts, handler) {
+    let circuit = this.client.circuit;
+
+    if (this.client.manager.isClosed) {
+      handler.onError(new Error(`${this.constructor.name} - [${this.client.clientName}] ProxyRateManager is closed`));
+      return false;
+    } else if (!circuit || !circuit.isValid()) {
+      handler.onError(new Error(`${this.constructor.name} - [${this.client.clientName}] has no usable circuit`));
+      return false;
+    }
+
+    return ProxyRateClientDispatcher.getCircuitDispatcher(circuit).dispatch(opts, handler);
+  }
+
+  // circuit dispatchers are shared with other clients, so there is nothing of ours to close
+  close (callback) {
+    return this._done(callback);
+  }
+
+  destroy (err, callback) {
+    return this._done(typeof(err) == "function" ? err : callback);
+  }
+
+  _done (callback) {
+    if (typeof(callback) == "function") {
+      return process.nextTick(callback);
+    }
+
+    return Promise.resolve();
+  }
+
+  static getCircuitDispatcher (circuit) {
+    let url = circuit.getProxyURL();
+    let cached = circuitDispatchers.get(circuit);
+
+    // session rotation changed the username. the old dispatcher would keep the old session
+    if (!cached || cached.url != url) {
+      if (cached) {
+        cached.dispatcher.close().catch(() => {});
+      }
+
+      cached = {url: url, dispatcher: ProxyRateClientDispatcher._createCircuitDispatcher(circuit)};
+      circuitDispatchers.set(circuit, cached);
+    }
+
+    return cached.dispatcher;
+  }
+
+  static _createCircuitDispatcher (circuit) {
+    if (!circuit.isSocks()) {
+      return new ProxyAgent({uri: circuit.getProxyURL()}); // http proxy, or https with TLS to the proxy
+    }
+
+    return new Agent({
+      connect: (opts, callback) => {
+        ProxyRateClientDispatcher._connectSocks(circuit, opts).then(socket => callback(null, socket), err => callback(err, null));
+      },
+    });
+  }
+
+  // Socket to opts' origin through a SOCKS circuit. TLS on top for https
+  static async _connectSocks (circuit, opts) {
+    let isHttps = opts.protocol == 'https:';
+    let port = Number(opts.port) || (isHttps ? 443 : 80);
+    let socket = await CircuitConnector.connect(circuit, opts.hostname, port);
+
+    if (!isHttps) {
+      return socket;
+    }
+
+    let servername = opts.servername || opts.hostname;
+
+    return await new Promise((resolve, reject) => {
+      let tlsSocket = tls.connect({
+        socket: socket,
+        servername: net.isIP(servername) ? undefined : servername,
+        ALPNProtocols: ['http/1.1'],
+      });
+
+      tlsSocket.once('secureConnect', () => resolve(tlsSocket));
+      tlsSocket.once('error', reject);
+    });
+  }
+};
+
+
+
+module.exports = ProxyRateClientDispatcher;
@@ -0,0 +1,64 @@
+"use strict";
+
+
+/**
+ * ProxyRateErrors
+ * Errors thrown (or rejected through the async APIs) for conditions a caller can handle:
+ * retry later, degrade, or crash on its own terms.
+ *
+ * try {
+ *   await proxyClient.acquire("apirequest1");
+ * } catch (err) {
+ *   if (err instanceof NoCircuitAvailableError) { ... }
+ * }
+ */
+class ProxyRateError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} details - copied onto the error, ex: {circuit, actionName}. can't replace name or message
+   */
+  constructor (message, details={}) {
+    super(message);
+
+    Object.assign(this, details);
+    this.name = this.constructor.name;
+    this.message = message;
+  }
+};
+
+// No circuit matches a createClient specifier, or every circuit is unhealthy. {circuitSpecifier} when from createClient
+class NoCircuitAvailableError extends ProxyRateError {};
+
+// The action name was not set with addRateLimitActionKey (or not given). {actionName}
+class UnknownActionError extends ProxyRateError {};
+
+// The exit IP could not be changed after MAX_CHANGE_TRIES tries. {circuit, numTries, cause}
+class RotationFailedError extends ProxyRateError {};
+
+// A tor operation was asked of a circuit with no ControlPort or local tor. {circuit}
+class TorUnavailableError extends ProxyRateError {};
+
+// No slot is free for the action and the caller asked not to wait (or not past maxWait) for one.
+// {ip, actionName, scope, limit, availableAt} availableAt: ms timestamp of the earliest free slot, null if unknown
+class QuotaExhaustedError extends ProxyRateError {};
+
+// A circuitDetails, client filter, action or other option given to the API is invalid (bad proxy type or rotation,
+// duplicate circuit, clashing local tor ports, unknown filter field...). {field} when it is about one field
+class InvalidConfigError extends ProxyRateError {};
+
+// An AdvancedProxiedRequest used up its tries. {requestName, status, numTries, reason} reason: "banned" if the
+// last try was banned by the target, null otherwise
+class RetriesExhaustedError extends ProxyRateError {};
+
+
+
+module.exports = {
+  ProxyRateError: ProxyRateError,
+  NoCircuitAvailableError: NoCircuitAvailableError,
+  UnknownActionError: UnknownActionError,
+  RotationFailedError: RotationFailedError,
+  TorUnavailableError: TorUnavailableError,
+  QuotaExhaustedError: QuotaExhaustedError,
+  RetriesExhaustedError: RetriesExhaustedError,
+  InvalidConfigError: InvalidConfigError,
+};
@@ -1,12 +1,21 @@
 "use strict";
 
 
-const fs = require('fs'),
-  ps = require('ps-node'),
-  childprocessmanager = require('childprocessmanager'), // to start tor
+const os = require('os'),
+  path = require('path'),
+  EventEmitter = require('events'),
   ProxyCircuit = require('./ProxyCircuit'),
+  LocalTorInstance = require('./LocalTorInstance'),
   ProxyRateClient = require('./ProxyRateClient'),
+  ActionReservation = require('./ActionReservation'),
+  CircuitSelectionStrategies = require('./CircuitSelectionStrategies'),
+  ProxyForwardServer = require('./ProxyForwardServer'),
+  IPCheckSource = require('./IPCheckSource'),
+  BanClassifier = require('./BanClassifier'),
+  { RateLimitRule } = require('./RateLimitRules'),
   AdvancedProxiedRequest = require('./AdvancedProxiedRequest'),
+  FileRateStatStore = require('./stores/FileRateStatStore'),
+  { ProxyRateError, NoCircuitAvailableError, UnknownActionError, RotationFailedError, TorUnavailableError, InvalidConfigError } = require('./ProxyRateErrors'),
   packagejson = require('../package.json');
 
 const logger = require('standardlogger');
@@ -19,36 +28,101 @@ const logger = require('standardlogger');
  *
  * Manage API Requests per IP and ensure that no user or API request exceeds them.
  * Also responsible for swapping circuits or exit nodes as necessary
+ *
+ * Events (each listener gets one object):
+ *   ipChanged         {circuit, oldIp, newIp, requested} - requested is false for changes the poller noticed
+ *   circuitAdded      {circuit}
+ *   circuitRemoved    {circuit}
+ *   healthChanged     {circuit, oldHealth, health, isHealthy}
+ *   breakerStateChanged {circuit, oldState, state} - "closed", "open" or "half-open". see CircuitBreaker
+ *   limitReached      {ip, actionName, scope, limit, count, rule} - an IP was found to have no slot left under one of an action's rules
+ *   torStarted        {circuit, pid}
+ *   torRestarted      {circuit, pid}
+ *   blacklistedIPSeen {circuit, ip}
+ *   ipBanned          {ip, target, actionName, until, reason} - see banIP
+ *   ipUnbanned        {ip, target, actionName}
+ *   cooldownStarted   {ip, actionName, scope, until, reason} - the target said the IP has no slot left until then. see setCooldown
+ *   actionRecorded    {ip, actionName, scope} - an action was reported or a reserved one committed
+ *   ipPolled          {circuit, ip, latency} - latency in ms of the poller's IP check, retries included
+ *   pollFailed        {circuit, message} - one failed try of a poller IP check
+ *   allCircuitsUnhealthy {} - emitted before onAllCircuitsUnhealthy is called
+ *   closed            {} - close() finished
  */
-class ProxyRateManager {
+class ProxyRateManager extends EventEmitter {
   constructor (args={}) {
+    super();
+
     this.version = packagejson.version || "-standalone-version-";
 
-    // Read in cache if stored
-    // This variable is a hash with many keys each in format:
-    // "<ip address>": {
-    //  actionName1: [], // array of Date objects of initiations for requests
-    //  actionName2: [], // array of Date objects of initiations for requests
-    // }
+    // Where action timestamps per exit IP are stored. Any RateStatStore (see lib/stores).
+    // Pass a shared backend (SqliteRateStatStore, RedisRateStatStore) when several
+    // processes egress through the same proxies so they all count each other's actions.
+    // Defaults to a JSON file cache local to this process.
     this.cacheFilename = args.cacheFilename || `torratecache-${this.version}.json`;
-    this.reqStats = fs.existsSync(this.cacheFilename) ? this._readCachedJson() : {};
-    this.pendingCallbacks = [];
-    this.isCurrentlyChanging = false;
+    this.store = args.store || new FileRateStatStore({filename: this.cacheFilename});
 
     this.MAX_CHANGE_TRIES = 7;
 
     this.EXTERNAL_IP_CHECK_URL = args.EXTERNAL_IP_CHECK_URL || "http://localhost/raw_external_ip";
 
+    // where circuits learn their exit IP. urls (plain text) or IPCheckSource options {url, format, path, header}
+    this.ipCheckSources = (args.ipCheckSources || [this.EXTERNAL_IP_CHECK_URL]).map(IPCheckSource.from);
+    this.ipCheckStrategy = args.ipCheckStrategy || "fallback"; // "fallback": first source first. "rotate": next source each check
+    this.ipCheckConsensus = args.ipCheckConsensus || 1; // sources that must return the same IP
+    this.ipCheckRetries = args.ipCheckRetries || 1; // tries per source before moving on to the next
+    this.ipCheckRetryDelay = args.ipCheckRetryDelay || 1000 * 10; // ms between rounds when every source failed
+    this.ipCheckRotation = 0;
+
+    if (this.ipCheckStrategy != "fallback" && this.ipCheckStrategy != "rotate") {
+      throw new InvalidConfigError(`${this.constructor.name} - unknown ipCheckStrategy "${this.ipCheckStrategy}". Options: fallback, rotate`, {field: "ipCheckStrategy"});
+    } else if (this.ipCheckConsensus > this.ipCheckSources.length) {
+      throw new InvalidConfigError(`${this.constructor.name} - ipCheckConsensus ${this.ipCheckConsensus} needs at least as many ipCheckSources (${this.ipCheckSources.length})`, {field: "ipCheckConsensus"});
+    }
+
+    // each local tor circuit gets its own tor with a DataDirectory under here
+    this.torDataDirectory = args.torDataDirectory || path.join(os.tmpdir(), 'proxyratemanager-tor');
+    this.torPath = args.torPath || "tor";
+
     // each user of this class should declare itself and can have its own circuit index
     this.clients = [];
+    this.numClientsCreated = 0; // client ids stay unique after removeClient
+
+    // how clients are assigned to and moved between pool circuits. a name from
+    // CircuitSelectionStrategies.byName or a function(candidates, context). clients can override it
+    this.circuitSelectionStrategy = CircuitSelectionStrategies.get(args.circuitSelectionStrategy || 'random');
+    this.selectionState = {}; // kept between calls by the manager-level strategy
+
+    // circuit breaker thresholds for every circuit. a circuit's own circuitBreaker option overrides these
+    this.circuitBreakerDefaults = args.circuitBreaker || {};
 
     // if an exit IP is detected to be any of these, immediately switch exit IP
     this.blacklistedIPs = args.blacklistedIPs || {
       '163.172.67.180': true, // qwerty node
     };
 
-    this.actionLimits = {}; // hash of action keys => the {limit} for an action within a rolling window
-    this.actionResetTimes = {}; // hash of action keys => rolling window size in ms for {limit} of actions
+    // responses that mean a target banned the exit IP. see BanClassifier. requests can add their own (reqArgs.banClassifiers)
+    this.banClassifiers = (args.banClassifiers || []).map(BanClassifier.from);
+    this.banTTL = args.banTTL || 1000 * 60 * 30; // ms a ban lasts unless its classifier says otherwise
+    this.autoRotateOnBan = (args.autoRotateOnBan !== false); // change the banned request's IP right away
+    this.bans = {}; // "<ip>\n<target>\n<actionName>" => {ip, target, actionName, until, reason}. also in the store
+
+    // what targets report about their own limits (Retry-After, X-RateLimit-*). see setCooldown
+    this.cooldowns = {}; // "<ip>\n<stat name>" => {ip, actionName, scope, until, remaining, reason}. see _getStatName
+    this.rateLimitCooldown = args.rateLimitCooldown || 1000 * 60; // ms to cool down after a 429 that gives no time
+
+    this.actionRules = {}; // hash of action keys => Array of RateLimitRule. every one must have a free slot
+    this.actionLimits = {}; // hash of action keys => the smallest {limit} of its rules
+    this.actionResetTimes = {}; // hash of action keys => ms of history its rules look back over
+    this.actionScopes = {}; // hash of action keys => null (per exit IP), "host" or "key" (per exit IP and target host / custom key)
+    this.actionHosts = {}; // hash of action keys => target host patterns requests are matched to the action by. see getActionForHost
+
+    this.reservationLocks = {}; // "<ip> <stat name>" => promise chain so reservations in this process run one at a time
+    this.recentQuotas = {}; // ip => {stat name: remaining} as last read from the store. for sync quota estimates
+
+    this.isClosed = false; // set by close(). clients and public methods reject from then on
+    this.closePromise = null;
+    this.sleepers = new Set(); // pending _sleep timers, cut short by close
+    this.ipCheckRequests = new Set(); // IP checks in flight
   }
 
   /**
@@ -56,10 +130,30 @@ class ProxyRateManager {
    * @param {String} key - Name for action
    * @param {Number} limit - Max actions that can be taken per IP
    * @param {Number} timeForRateReset - Rolling window size in ms for which {limit} actions can be taken
+   * @param {Array} rules - RateLimitRules (or {type, ...} objects) that must all hold, ex:
+   *   [{limit: 10, window: 1000}, {type: "fixed", limit: 5000, period: "day"}]. replaces limit/timeForRateReset
+   * @param {String} scope - what the limits are kept per, besides the exit IP:
+   *   - null: every action through the IP counts toward the same limits
+   *   - "host": each target host has its own limits (AdvancedProxiedRequest and the forward proxy take it from the url)
+   *   - "key": each custom key has its own (reqArgs.rateLimitScope, or the scope option of acquire)
+   * @param {Array of Strings} hosts - target host patterns ("api.example.com", "*.example.com" for its subdomains,
+   *   "*") whose requests count as this action without naming it. see getActionForHost
    */
-  addRateLimitActionKey ({key, limit=1200, timeForRateReset=1000 * 60 * 60 * 24}) { // one day by default
-    this.actionLimits[key] = limit;
-    this.actionResetTimes[key] = timeForRateReset;
+  addRateLimitActionKey ({key, limit=1200, timeForRateReset=1000 * 60 * 60 * 24, rules=null, scope=null, hosts=null}) { // one day by default
+    rules = (rules || [{type: "rolling", limit: limit, window: timeForRateReset}]).map(RateLimitRule.from);
+
+    if (!rules.length) {
+      throw new InvalidConfigError(`${this.constructor.name}.addRateLimitActionKey - action "${key}" needs at least one rule`, {field: "rules"});
+    } else if (scope != null && ["host", "key"].indexOf(scope) == -1) {
+      throw new InvalidConfigError(`${this.constructor.name}.addRateLimitActionKey - action "${key}" has unknown scope "${scope}". Options: host, key`, {field: "scope"});
+    }
+
+    this.actionScopes[key] = scope;
+    this.actionHosts[key] = hosts ? [].concat(hosts).map(pattern => pattern.toLowerCase()) : null;
+
+    this.actionRules[key] = rules;
+    this.actionLimits[key] = Math.min(...rules.map(rule => rule.getLimit()));
+    this.actionResetTimes[key] = Math.max(...rules.map(rule => rule.getRetention()));
   }
 
   /**
@@ -67,6 +161,12 @@ class ProxyRateManager {
    * @param {Array of Objects} circuitDetailsArr 
    */
   async initWithCircuits (circuitDetailsArr=[]) {
+    await this.store.init(); // load cache / connect to shared storage
+
+    for (let ban of await this.store.getBans()) {
+      this.bans[this._banKey(ban)] = ban;
+    }
+
     // Array of objects detailing proxy paths (and username/password if applicable)
     this.circuits = [];
     this.namedCircuits = {}; // Circuits that can ONLY be used by name
@@ -75,30 +175,27 @@ class ProxyRateManager {
   }
 
   async addCircuit (circuitDetails) {
-    let circuit = new ProxyCircuit(circuitDetails);
+    this._checkOpen(`${this.constructor.name}.addCircuit`);
 
-    if (this._hasCircuit(circuit)) {
-      DIE(`[!] ${this.constructor.name}.addCircuit - Circuit ${circuit.getIdentifier()} already exists!`);
-    }
+    let circuit = this.validateCircuitDetails(circuitDetails);
 
-    // start tor if not started if a circuit needs it
+    // start this circuit's own tor
     if (circuit.isLocalTor) {
-      let wasRunning = await this._startTorIfNotStarted();
+      await this._startTorForCircuit(circuit);
     }
 
     let extIp = await this._getExternalIP(circuit);
     await this._onChangedIP(circuit, extIp);
 
+    circuit.on('healthChanged', (e) => this.emit('healthChanged', e));
+    circuit.on('breakerStateChanged', (e) => this._onBreakerStateChanged(e));
+
     INFO(`[+] ${this.constructor.name}.addCircuit [${circuit.getIdentifier()}] started with exit IP: ${extIp}`);
     
     // Add circuit to the circuit pool OR named circuit pool
     if (circuit.addToCyclingCircuitPool) {
       this.circuits.push(circuit); // circuit will be accessible by getRandomCircuit, forceIPChangeImmediately, etc
     } else {
-      if (!circuit.name) {
-        DIE(`[!] ${this.constructor.name}.addCircuit Named circuit [${circuit.getIdentifier()}] MUST have a passed name.`);
-      }
-
       this.namedCircuits[circuit.name] = circuit;
     }
 
@@ -106,7 +203,11 @@ class ProxyRateManager {
     // and, after calling _removeCircuit, have that client moved to a DIFFERENT random circuit. Not good
     let pollingClient = new ProxyRateClient({manager: this, circuit: circuit, clientId: "POLLER", isPollingClient: true, });
     circuit.setPollingClient(pollingClient);
-    this._startPoller(circuit).then(); // not awaiting since this is a separate infinite loop
+    circuit.pollerPromise = this._runPoller(circuit); // not awaiting since this is a separate loop until close
+
+    this.emit('circuitAdded', {circuit: circuit});
+
+    return circuit;
   }
 
   async addCircuits (circuitsArr=[]) {
@@ -115,9 +216,38 @@ class ProxyRateManager {
     }
   }
 
-  _hasCircuit (circuit) { // must be ProxyCircuit instance
+  // Every circuit, in the pool or named
+  getAllCircuits () {
+    return (this.circuits || []).concat(Object.values(this.namedCircuits || {}));
+  }
+
+  /**
+   * Check circuitDetails the way addCircuit would, before anything is started for it
+   * Throws InvalidConfigError for a bad type or rotation, a circuit already added (isDuplicate: same proxy, or a
+   * named circuit's name), one outside the pool without a name, or a local tor whose SocksPort/ControlPort clash
+   * with another local tor's
+   * @return {ProxyCircuit} the circuit addCircuit would add
+   */
+  validateCircuitDetails (circuitDetails) {
+    let circuitBreaker = Object.assign({}, this.circuitBreakerDefaults, circuitDetails.circuitBreaker);
+    let circuit = new ProxyCircuit(Object.assign({}, circuitDetails, {circuitBreaker: circuitBreaker}));
+    let clash = circuit.isLocalTor ? this._getTorPortClash(circuit) : null;
+    let isNameTaken = !circuit.addToCyclingCircuitPool && Object.prototype.hasOwnProperty.call(this.namedCircuits, circuit.name);
+
+    if (this._hasCircuit(circuit) || isNameTaken) {
+      throw new InvalidConfigError(`${this.constructor.name}.addCircuit - Circuit ${circuit.getRedactedIdentifier()} already exists!`, {isDuplicate: true});
+    } else if (!circuit.addToCyclingCircuitPool && !circuit.name) {
+      throw new InvalidConfigError(`${this.constructor.name}.addCircuit Named circuit [${circuit.getRedactedIdentifier()}] MUST have a passed name.`, {field: "name"});
+    } else if (clash) {
+      throw new InvalidConfigError(`${this.constructor.name}.addCircuit - [${circuit.getRedactedIdentifier()}] SocksPort/ControlPort ${circuit.port}/${circuit.controlPort} clash with [${clash.getRedactedIdentifier()}]`, {field: "port"});
+    }
+
+    return circuit;
+  }
+
+  _hasCircuit (circuit) { // must be ProxyCircuit instance. pool and named circuits
     let id = circuit.getIdentifier();
-    return this.circuits.filter(c => c.getIdentifier() == id).length > 0;
+    return this.getAllCircuits().filter(c => c.getIdentifier() == id).length > 0;
   }
 
   
@@ -125,7 +255,7 @@ class ProxyRateManager {
     circuit.markInvalid();
 
     // remove from circuit pool / named circuits
-    if (circuit.addToCyclingCircuitPool) {
+    if (!circuit.addToCyclingCircuitPool) {
       delete this.namedCircuits[circuit.name];
     } else {
       let index = this.circuits.indexOf(circuit);
@@ -138,29 +268,59 @@ class ProxyRateManager {
     }
 
     // run through existing clients and kick them off the circuit
-    this.clients.forEach(client => (client.circuit == circuit) ? client._changeToRandomCircuit() : null);
+    for (let client of this.clients.filter(client => client.circuit == circuit)) {
+      try {
+        client._changeToRandomCircuit();
+      } catch (err) {
+        WARN(`[-] ${this.constructor.name}._removeCircuit - could not move [${client.clientName}] off the circuit: ${err.message}`);
+      }
+    }
 
-    // stop tor process if no circuits left use it
-    if (circuit.isLocalTor && this.circuits.filter(c => c.isLocalTor).length == 0) {
-      await this._killAllTorProcesses();
+    // stop this circuit's own tor. other circuits' tors are untouched
+    if (circuit.torInstance) {
+      await circuit.torInstance.stop();
     }
 
+    clearTimeout(circuit.probeTimer);
+    circuit.removeAllListeners('healthChanged');
+    circuit.removeAllListeners('breakerStateChanged');
+    this.emit('circuitRemoved', {circuit: circuit});
+
     return circuit;
   }
 
   /**
    * Call this to establish yourself as a user and be given an instance of ProxyRateClient to use
    * @param {Number|String} circuitSpecifier -
-   *   - Omit argument for a random circuit
+   *   - Omit argument for a circuit chosen by the selection strategy (random by default)
    *   - Provide number for a desired index into this.circuits (can provide 0 for first circuit)
    *   - Provide String for a desired circuit from this.namedCircuits
-   *   - TODO - allow TOR specifier to ensure a circuit uses tor... or maybe also allow filter by health/clientnum
+   *   - Provide a filter object {pool, tags, type, isLocalTor, minHealth} to choose only among matching pool circuits.
+   *     The client stays within the matching circuits whenever it changes circuit. See ProxyCircuit.matchesFilter
+   * @param {Object} clientOptions
+   *   - strategy: circuit selection strategy for this client only (name or function). see CircuitSelectionStrategies
+   *   - actionName: action the client mostly does. used by the "most-remaining-quota" strategy
+   *   - scope: scope of that action, if it is scoped. see addRateLimitActionKey
    */
-  createClient (circuitSpecifier=true) { // will get a random one or first one by default
+  createClient (circuitSpecifier=true, clientOptions={}) { // will get a strategy-chosen one or first one by default
+    this._checkOpen(`${this.constructor.name}.createClient`);
+
     let circuit = null;
+    let client = new ProxyRateClient({
+      manager: this,
+      circuit: null,
+      clientId: this.numClientsCreated++,
+      selectionStrategy: clientOptions.strategy,
+      actionName: clientOptions.actionName,
+      scope: clientOptions.scope,
+    });
 
     if (circuitSpecifier === true) {
-      circuit = this._getRandomCircuit();
+      circuit = this._selectCircuit(null, client);
+    } else if (circuitSpecifier && typeof(circuitSpecifier) == "object") {
+      ProxyCircuit.validateFilter(circuitSpecifier);
+      client.circuitFilter = circuitSpecifier;
+      circuit = this._selectCircuit(null, client);
     } else if (typeof(circuitSpecifier) == "string") {
       circuit = this.namedCircuits[circuitSpecifier]
     } else if (!isNaN(circuitSpecifier)) {
@@ -168,197 +328,681 @@ class ProxyRateManager {
     }
 
     if (!circuit) {
-      DIE(`[!] ${this.constructor.name} - NO CIRCUIT FOUND for circuitSpecifier=${circuitSpecifier}`);
+      throw new NoCircuitAvailableError(`${this.constructor.name}.createClient - no circuit found for circuitSpecifier=${JSON.stringify(circuitSpecifier)}`, {
+        circuitSpecifier: circuitSpecifier,
+      });
     }
 
-    let client = new ProxyRateClient({manager: this, circuit: circuit, clientId: this.clients.length});
-
+    client.circuit = circuit;
     this.clients.push(client); // bookkeeping
 
     return client;
   }
 
+  /**
+   * Forget a client from createClient when its user is done with it. It still works, but is no longer
+   * moved off removed or changing circuits, counted by the "least-connected" strategy or listed by the admin API
+   */
+  removeClient (client) {
+    let index = this.clients.indexOf(client);
+
+    if (index != -1) {
+      this.clients.splice(index, 1);
+    }
+  }
+
+  /**
+   * Start a local HTTP/CONNECT proxy (and SOCKS5 proxy with socksPort) that forwards through the pool
+   * @param {Object} options - {port, host, socksPort, token, connectTimeout, releaseOnConnectionFailure, maxClients, clientIdleTime}.
+   *   see ProxyForwardServer
+   * @return {ProxyForwardServer} listening server. call close() on it to stop
+   */
+  async startForwardProxy (options={}) {
+    let server = new ProxyForwardServer(Object.assign({}, options, {manager: this}));
+    await server.listen(options);
+    return server;
+  }
+
   areAllCircuitsUnhealthy () {
     return this.circuits.filter(c => c.isHealthy()).length == 0;
   }
 
   /**
-   * Get a random circuit. Used to change circuits. 
-   * @param {Integer} circuitToOmit - Pass circuit to ensure you get a DIFFERENT index than currently using
+   * Pick a pool circuit with the client's (or else the manager's) selection strategy. Used to assign and change circuits.
+   * If no healthy circuit other than circuitToOmit exists, the result doesn't depend on the strategy:
+   * stay on circuitToOmit if it is still healthy, else onAllCircuitsUnhealthy is called (throws NoCircuitAvailableError
+   * unless overridden) and, if that returns, the healthiest circuit is used
+   * @param {ProxyCircuit} circuitToOmit - Pass circuit to ensure you get a DIFFERENT one than currently using
+   * @param {ProxyRateClient} client - client being assigned, if any
    */
-  _getRandomCircuit (circuitToOmit=null, omitUnhealthyCircuits=true) {
-    if (this.circuits.length <= 1) {
-      let c = this.circuits[0];
-      WARN(`[-] ${this.constructor.name}._getRandomCircuit - Only ${this.circuits.length} circuit(s) available! (${c && c.getIdentifier()})`);
+  _selectCircuit (circuitToOmit=null, client=null, omitUnhealthyCircuits=true) {
+    // a client created with a filter only ever moves between the circuits matching it
+    let filter = client && client.circuitFilter;
+    let pool = filter ? this.circuits.filter(c => c.matchesFilter(filter)) : this.circuits;
+    let minHealth = (filter && filter.minHealth) || 0;
+
+    if (filter && pool.length == 0) {
+      WARN(`[-] ${this.constructor.name}._selectCircuit - No pool circuit matches filter ${JSON.stringify(filter)}. Staying put`);
+      return circuitToOmit;
+    } else if (pool.length <= 1) {
+      let c = pool[0];
+      WARN(`[-] ${this.constructor.name}._selectCircuit - Only ${pool.length} circuit(s) available! (${c && c.getIdentifier()})`);
       return c;
     }
 
-    let randomCircuit;
+    let isUsable = (c) => c.isHealthy() && c.getHealthScore() >= minHealth;
+    let candidates = pool.filter(c => c != circuitToOmit);
 
-    do {
-      let randomIndex = Math.floor(Math.random() * this.circuits.length);
-      randomCircuit = this.circuits[randomIndex];
+    if (omitUnhealthyCircuits) {
+      candidates = candidates.filter(isUsable);
+    }
 
-      // Don't accept circuit if it is unhealthy according to argument
-      if (omitUnhealthyCircuits && !randomCircuit.isHealthy()) {
-        DEBUG(`[D] ${this.constructor.name}._getRandomCircuit - Unhealthy circuit denied usage: ${randomCircuit.getIdentifier()}`);
+    if (candidates.length == 0) {
+      if (circuitToOmit && circuitToOmit.isValid() && isUsable(circuitToOmit) && pool.indexOf(circuitToOmit) != -1) {
+        DEBUG(`[D] ${this.constructor.name}._selectCircuit - All other circuits unhealthy - staying with ${circuitToOmit.getIdentifier()}`);
+        return circuitToOmit;
+      }
 
-        // All circuits are unhealthy. This would be an infinite loop - onAllCircuitsUnhealthy can be overridden
-        if (this.areAllCircuitsUnhealthy()) {
-          this.onAllCircuitsUnhealthy(); // By default, DIES / CRASHES PROGRAM
-        } else if (circuitToOmit && circuitToOmit.isHealthy()) {
-          DEBUG(`[D] ${this.constructor.name}._getRandomCircuit - All other circuits unhealthy - staying with ${circuitToOmit.getIdentifier()}`);
-          return circuitToOmit;
-        }
-        continue;
+      if (this.areAllCircuitsUnhealthy()) {
+        this.emit('allCircuitsUnhealthy', {});
+        this.onAllCircuitsUnhealthy(); // By default, throws NoCircuitAvailableError
       }
-    } while (circuitToOmit && circuitToOmit.getIdentifier() == randomCircuit.getIdentifier());
 
-    return randomCircuit;
+      // only the filtered set is unhealthy, or onAllCircuitsUnhealthy was overridden and returned.
+      // Take the healthiest, first in pool order on ties
+      return pool.reduce((best, c) => (c.getHealthScore() > best.getHealthScore()) ? c : best);
+    }
+
+    let useClientStrategy = client && client.selectionStrategy;
+    let strategy = useClientStrategy ? client.selectionStrategy : this.circuitSelectionStrategy;
+
+    let circuit = strategy(candidates, {
+      manager: this,
+      client: client,
+      currentCircuit: circuitToOmit,
+      actionName: client ? (client.actionName || client.lastActionName) : null,
+      scope: client ? (client.actionName ? client.scope : client.lastScope) : null,
+      state: useClientStrategy ? client.selectionState : this.selectionState,
+    });
+
+    if (candidates.indexOf(circuit) == -1) {
+      WARN(`[-] ${this.constructor.name}._selectCircuit - strategy returned a circuit that is not a candidate. Using ${candidates[0].getIdentifier()}`);
+      return candidates[0];
+    }
+
+    return circuit;
   }
 
-  // Callback called _getRandomCircuit is called AND all circuits are unhealthy
+  // An opened breaker gets probed once its openDuration has passed. Its clients move to healthy circuits meanwhile
+  _onBreakerStateChanged (e) {
+    let circuit = e.circuit;
+    this.emit('breakerStateChanged', e);
+
+    if (e.state != "open" || !circuit.isValid() || this.isClosed) {
+      return;
+    }
+
+    clearTimeout(circuit.probeTimer);
+    circuit.probeTimer = setTimeout(() => {
+      this._probeCircuit(circuit).catch(err => WARN(`[-] ${this.constructor.name}._probeCircuit - ${err}`));
+    }, circuit.breaker.getTimeUntilProbe());
+
+    // if nothing is healthy, leave them be rather than calling onAllCircuitsUnhealthy from an event
+    if (circuit.addToCyclingCircuitPool && !this.areAllCircuitsUnhealthy()) {
+      this.clients.filter(client => client.circuit == circuit).forEach(client => client._changeToRandomCircuit());
+    }
+  }
+
+  // Half-open the circuit's breaker and send probes until it closes or opens again
+  async _probeCircuit (circuit) {
+    circuit.probeTimer = null;
+
+    if (!circuit.isValid() || this.isClosed) {
+      return;
+    }
+
+    circuit.startProbing();
+
+    for (let i = 0; i < circuit.breaker.probeSuccessesToClose && circuit.isValid() && circuit.breaker.state == "half-open"; i++) {
+      DEBUG(`[D] ${this.constructor.name}._probeCircuit [${circuit.getIdentifier()}] - probe ${i + 1}`);
+
+      let source = this._getIPCheckOrder()[0];
+
+      await new AdvancedProxiedRequest.ProbeRequest({
+        url: source.url,
+        ipCheckSource: source,
+        reqArgs: {
+          proxyClient: circuit.pollingClient,
+        },
+      }).runAsync().catch(err => DEBUG(`[D] ${this.constructor.name}._probeCircuit - ${err.message}`));
+    }
+  }
+
+  // Callback called when _selectCircuit is called AND all circuits are unhealthy. Override and return to use the healthiest anyway
   onAllCircuitsUnhealthy () {
-    DIE(`[!] ${this.constructor.name}.onAllCircuitsUnhealthy - All circuits unhealthy - DYING / THROWING ERROR`);
+    throw new NoCircuitAvailableError(`${this.constructor.name}.onAllCircuitsUnhealthy - all circuits unhealthy`);
   }
 
-  _readCachedJson () {
-    return JSON.parse(fs.readFileSync(this.cacheFilename)); // return cache straightaway
+  /**
+   * Shut down: stop the pollers and probe timers, wait for IP checks in flight, flush the store and stop local tors.
+   * Clients and public methods reject afterwards. Calling it again returns the same promise
+   * @param {Boolean} stopTor - stop the tor instances this manager started (default true)
+   * @param {Number} timeout - ms to wait for IP checks in flight before cancelling them
+   */
+  close ({stopTor=true, timeout=1000 * 10}={}) {
+    if (!this.closePromise) {
+      this.isClosed = true;
+      this.closePromise = this._close(stopTor, timeout);
+    }
+
+    return this.closePromise;
   }
 
-  async _writeOutCache () {
-    let err = await new Promise((resolve, reject) => {
-      fs.writeFile(this.cacheFilename, JSON.stringify(this.reqStats), resolve);
-    });
+  async _close (stopTor, timeout) {
+    INFO(`[+] ${this.constructor.name}.close - shutting down`);
 
-    if (err) {
-      throw err;
+    let circuits = this.getAllCircuits();
+
+    for (let circuit of circuits) {
+      clearTimeout(circuit.probeTimer);
+      circuit.probeTimer = null;
     }
-  
-    return;
+
+    for (let sleeper of this.sleepers) {
+      clearTimeout(sleeper.timer);
+      sleeper.resolve();
+    }
+    this.sleepers.clear();
+
+    // pollers exit after their current IP check
+    let pollers = Promise.all(circuits.map(c => c.pollerPromise).filter(p => p).map(p => p.catch(() => {})));
+    let timeoutFD = null;
+    let timedOut = await Promise.race([
+      pollers.then(() => false),
+      new Promise((resolve, reject) => timeoutFD = setTimeout(() => resolve(true), timeout)),
+    ]);
+    clearTimeout(timeoutFD);
+
+    if (timedOut) {
+      WARN(`[-] ${this.constructor.name}.close - ${this.ipCheckRequests.size} IP check(s) still running after ${timeout}ms. Cancelling them`);
+      this.ipCheckRequests.forEach(req => req.cancelRequest());
+      this.ipCheckRequests.clear();
+    }
+
+    await this.store.close(); // flushes
+
+    if (stopTor) {
+      await this._stopAllTorInstances();
+    }
+
+    this.emit('closed', {});
   }
 
-  // This is purely a memory clearing operation. Not very crucial, but clears old request timestamps
-  freeOldIPData () {
-    INFO(`[D] ${this.constructor.name}.freeOldIPData freeing data now...`);
+  _checkActionName (actionName, caller, scope=null) {
+    if (actionName == null) {
+      throw new UnknownActionError(`${caller} - actionName must be given`, {actionName: actionName});
+    } else if (!(actionName in this.actionLimits)) {
+      throw new UnknownActionError(`${caller} - actionName "${actionName}" is not set with addRateLimitActionKey`, {actionName: actionName});
+    } else if (this.actionScopes[actionName] && (scope == null || scope === '')) {
+      throw new UnknownActionError(`${caller} - actionName "${actionName}" is kept per ${this.actionScopes[actionName]}. A scope must be given`, {actionName: actionName});
+    }
+  }
 
-    for (let ip in this.reqStats) {
-      this._preenOldRequestsForIP(ip);
-      let numCircuitsWithIP = this.circuits.filter(c => ip == c.getCurrentIP()).length;
+  /**
+   * The action set for requests to host by addRateLimitActionKey's hosts patterns. An exact host beats a wildcard,
+   * and a longer wildcard a shorter one ("*.api.example.com" over "*.example.com" over "*")
+   * @return {String|null} null if no pattern matches
+   */
+  getActionForHost (host) {
+    let best = null;
+    let bestScore = -1;
 
-      let ipStats = this.reqStats[ip];
-      let numRelevantPoints = Object.keys(ipStats).filter(actionName => ipStats[actionName].length > 0);
+    host = String(host || '').toLowerCase();
 
-      // delete IP key if empty (no recent requests run through it) and no circuits currently using IP
-      if (numRelevantPoints == 0 && numCircuitsWithIP == 0) {
-        delete this.reqStats[ip];
+    for (let actionName in this.actionHosts) {
+      for (let pattern of (this.actionHosts[actionName] || [])) {
+        let score = this._matchHostPattern(pattern, host);
+
+        if (score > bestScore) {
+          best = actionName;
+          bestScore = score;
+        }
       }
     }
+
+    return best;
   }
 
-  _initializeIPDataIfNotInitialized (ip) {
-    if (!this.reqStats[ip]) {
-      let actionArrays = {};
+  // how specific a matching pattern is. -1 if it doesn't match
+  _matchHostPattern (pattern, host) {
+    if (pattern == host) {
+      return Infinity;
+    } else if (pattern == "*") {
+      return 0;
+    } else if (pattern.startsWith("*.") && host.endsWith(pattern.substr(1))) {
+      return pattern.length;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Scope actionName is counted under for a request: the host (or key if given) for "host" scoped actions,
+   * key for "key" scoped ones, null for actions kept per exit IP only
+   */
+  getScopeFor (actionName, {host=null, key=null}={}) {
+    let scopeType = this.actionScopes[actionName];
+
+    if (scopeType == "host") {
+      return (key || host) ? String(key || host).toLowerCase() : null;
+    }
 
-      for (let actionName in this.actionLimits) {
-        actionArrays[actionName] = [];
+    return (scopeType == "key") ? key : null;
+  }
+
+  // Name actionName's timestamps are stored under. Scoped actions count each scope apart ("search@api.example.com")
+  _getStatName (actionName, scope=null) {
+    return this.actionScopes[actionName] ? `${actionName}@${scope}` : actionName;
+  }
+
+  // {actionName, scope} of a stored name. null for actions no longer set
+  _parseStatName (statName) {
+    if (statName in this.actionScopes && !this.actionScopes[statName]) {
+      return {actionName: statName, scope: null};
+    }
+
+    for (let at = statName.indexOf('@'); at != -1; at = statName.indexOf('@', at + 1)) {
+      let actionName = statName.substr(0, at);
+
+      if (this.actionScopes[actionName]) {
+        return {actionName: actionName, scope: statName.substr(at + 1)};
       }
+    }
+
+    return null;
+  }
+
+  // [{statName, actionName, scope}] of every action stored for ip, plus the unscoped ones it has nothing for yet
+  async _getStatNamesForIP (ip) {
+    let statNames = Object.keys(this.actionScopes).filter(actionName => !this.actionScopes[actionName]);
 
-      this.reqStats[ip] = actionArrays;
+    for (let statName of await this.store.getActionNames(ip)) {
+      if (statNames.indexOf(statName) == -1) {
+        statNames.push(statName);
+      }
     }
+
+    return statNames.map(statName => Object.assign({statName: statName}, this._parseStatName(statName)))
+      .filter(stat => stat.actionName);
   }
 
-  reportNewAction (actionName=null, circuit=null) {
-    let exitIP = circuit.activeExitNodeIP;
+  // Bans for the scope's host cover host scoped actions
+  _getScopeTarget (actionName, scope) {
+    return (this.actionScopes[actionName] == "host") ? scope : null;
+  }
 
-    if (actionName == null) {
-      DIE(`[!] ${this.constructor.name}.reportNewAction - 1st argument must be actionName!`);
-    } else if (!(actionName in this.actionLimits)) {
-      DIE(
-        `[!] ${this.constructor.name}.reportNewAction - actionName "${actionName}" is not set with`
-          + `addRateLimitActionKey. QUITTING. actionLimits:`, actionLimits
-      );
+  // Public entry points refuse work once close() was called
+  _checkOpen (caller) {
+    if (this.isClosed) {
+      throw new ProxyRateError(`${caller} - ${this.constructor.name} is closed`);
+    }
+  }
+
+  // setTimeout promise that close() cuts short. Rejects with signal.reason if the AbortSignal fires
+  _sleep (ms, signal=null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    } else if (this.isClosed) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let onAbort = null;
+      let sleeper = {resolve: resolve, timer: null};
+
+      let done = () => {
+        clearTimeout(sleeper.timer);
+        this.sleepers.delete(sleeper);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      onAbort = () => {
+        done();
+        reject(signal.reason);
+      };
+
+      sleeper.resolve = () => {
+        done();
+        resolve();
+      };
+
+      sleeper.timer = setTimeout(sleeper.resolve, ms);
+      this.sleepers.add(sleeper);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  async _writeOutCache () {
+    return await this.store.flush();
+  }
+
+  // This is purely a storage clearing operation. Not very crucial, but clears old request timestamps
+  async freeOldIPData () {
+    INFO(`[D] ${this.constructor.name}.freeOldIPData freeing data now...`);
+
+    for (let ip of await this.store.getIPs()) {
+      await this._preenOldRequestsForIP(ip);
+      let numCircuitsWithIP = this.circuits.filter(c => ip == c.activeExitNodeIP).length;
+
+      let numRelevantPoints = 0;
+      for (let stat of await this._getStatNamesForIP(ip)) {
+        numRelevantPoints += await this.store.count(ip, stat.statName);
+      }
+
+      // delete IP if empty (no recent requests run through it) and no circuits currently using IP
+      if (numRelevantPoints == 0 && numCircuitsWithIP == 0) {
+        await this.store.deleteIP(ip);
+      }
     }
+  }
+
+  async reportNewAction (actionName=null, circuit=null, scope=null) {
+    this._checkOpen(`${this.constructor.name}.reportNewAction`);
+
+    let exitIP = circuit.activeExitNodeIP;
+
+    this._checkActionName(actionName, `${this.constructor.name}.reportNewAction`, scope);
+
+    let statName = this._getStatName(actionName, scope);
+
+    // Racy if the circuit just changed. action probably didn't occur on this exitIP then
+    await this.store.record(exitIP, statName, new Date().getTime());
+    this._useCooldownSlot(exitIP, actionName, scope);
 
-    // This is a race when a circuit changed. actions probably didn't occur on this exitIP
-    if (!this.reqStats[exitIP]) {
-      this._initializeIPDataIfNotInitialized(exitIP);
+    if (this.recentQuotas[exitIP] && statName in this.recentQuotas[exitIP]) {
+      this.recentQuotas[exitIP][statName] = Math.max(0, this.recentQuotas[exitIP][statName] - 1);
     }
 
-    if (!this.reqStats[exitIP][actionName]) {
-      this.reqStats[exitIP][actionName] = [];
+    this.emit('actionRecorded', {ip: exitIP, actionName: actionName, scope: scope});
+  }
+
+  /**
+   * Reserve one slot for actionName on the circuit's current exit IP, if one is free.
+   * The slot is recorded right away so it counts toward _isIPAvailableForRequests immediately.
+   * @return {ActionReservation|null} null if the IP has no free slot
+   */
+  async _reserveAction (circuit, actionName, scope=null) {
+    this._checkOpen(`${this.constructor.name}.acquire`);
+
+    this._checkActionName(actionName, `${this.constructor.name}.acquire`, scope);
+
+    let ip = circuit.activeExitNodeIP;
+    let statName = this._getStatName(actionName, scope);
+
+    return await this._withReservationLock(`${ip} ${statName}`, async () => {
+      if (!(await this._isIPAvailableForRequests(ip, actionName, scope))) {
+        return null;
+      }
+
+      let timestamp = new Date().getTime();
+      let id = await this.store.record(ip, statName, timestamp);
+
+      // Another process sharing the store may have taken the last slot between our check and record
+      if ((await this.getActionQuota(ip, actionName, scope)).isOverLimit) {
+        await this.store.remove(ip, statName, id);
+        return null;
+      }
+
+      this._useCooldownSlot(ip, actionName, scope);
+
+      return new ActionReservation({
+        manager: this, circuit: circuit, ip: ip, actionName: actionName, scope: scope, timestamp: timestamp, id: id,
+      });
+    });
+  }
+
+  // Run fn once every earlier fn for the same key has finished
+  async _withReservationLock (key, fn) {
+    let previous = this.reservationLocks[key] || Promise.resolve();
+    let current = previous.then(fn, fn);
+
+    // next caller waits on this one whether it succeeds or fails
+    let tail = current.then(() => {}, () => {});
+    this.reservationLocks[key] = tail;
+    tail.then(() => {
+      if (this.reservationLocks[key] == tail) {
+        delete this.reservationLocks[key];
+      }
+    });
+
+    return await current;
+  }
+
+  /**
+   * Earliest moment any of the circuits' current exit IPs has a free slot for actionName,
+   * worked out from the stored timestamps and the action's rules. Blacklisted IPs are skipped,
+   * IPs banned or cooling down for actionName count from when that ends
+   * @param {String} actionName
+   * @param {Array of ProxyCircuit} circuits - circuits to consider. Every pool circuit by default
+   * @param {String} scope - for scoped actions. see addRateLimitActionKey
+   * @return {Object|null} {time, ip, circuit} (time <= now if a slot is free already; first circuit wins ties). null if no usable IP
+   */
+  async getEarliestAvailableSlot (actionName, circuits=null, scope=null) {
+    this._checkActionName(actionName, `${this.constructor.name}.getEarliestAvailableSlot`, scope);
+
+    let banScope = {target: this._getScopeTarget(actionName, scope), actionName: actionName};
+
+    let freeTimes = {}; // ip => time. circuits can share an exit IP
+    let earliest = null;
+
+    for (let circuit of (circuits || this.circuits)) {
+      let ip = circuit.activeExitNodeIP;
+
+      if (!circuit.isValid() || !ip || this.blacklistedIPs[ip]) {
+        continue;
+      }
+
+      if (!(ip in freeTimes)) {
+        let cooldown = this.getCooldown(ip, actionName, scope);
+        let cooldownEnd = (cooldown && cooldown.remaining <= 0) ? cooldown.until : 0;
+
+        freeTimes[ip] = Math.max(await this._getSlotFreeTime(ip, actionName, scope), this._getBanExpiry(ip, banScope), cooldownEnd);
+      }
+
+      if (!earliest || freeTimes[ip] < earliest.time) {
+        earliest = {time: freeTimes[ip], ip: ip, circuit: circuit};
+      }
     }
 
-    this.reqStats[exitIP][actionName].push(new Date().getTime());
+    return earliest;
+  }
+
+  // When ip next has a free actionName slot. Now if it has one
+  async _getSlotFreeTime (ip, actionName, scope=null) {
+    return (await this.getActionQuota(ip, actionName, scope)).availableAt;
+  }
+
+  // _startPoller, restarted after ipCheckRetryDelay if it fails. Never rejects, so a poller can't crash the process
+  _runPoller (circuit) {
+    return this._startPoller(circuit).catch((err) => {
+      if (this.isClosed || !circuit.isValid()) {
+        return;
+      }
+
+      WARN(`[-] ${this.constructor.name} poller [${circuit.getIdentifier()}] - failed: ${err && err.message || err}. Restarting in ${this.ipCheckRetryDelay}ms`);
+      return this._sleep(this.ipCheckRetryDelay).then(() => this._runPoller(circuit));
+    });
   }
 
   // Poller will check every CHECK_INTERVAL milliseconds for the current IP to catalog request timestamps
   async _startPoller (circuit) {
-    while (circuit.isValid()) {
+    while (circuit.isValid() && !this.isClosed) {
       // if restarting/changing, wait and check every second until done
-      if (this.isCurrentlyChanging || this.isCurrentlyRestarting) {
-        await new Promise((resolve, reject) => setTimeout(resolve, 1000));
+      if (circuit.isChanging() || circuit.isCurrentlyRestarting) {
+        await this._sleep(1000);
         continue; // using this instead of while loop to ensure isValid is continually checked
       }
 
-      let extIp = await this._getExternalIP(circuit);
+      let pollStart = new Date().getTime();
+      let extIp;
+      try {
+        extIp = await this._getExternalIP(circuit);
+      } catch (err) {
+        if (this.isClosed) {
+          break;
+        }
+        throw err;
+      }
+      this.emit('ipPolled', {circuit: circuit, ip: extIp, latency: new Date().getTime() - pollStart});
+
+      if (this.isClosed) {
+        break;
+      }
 
       if (extIp != circuit.activeExitNodeIP) {
-        await this._onUnrequestedIPChange(circuit, extIp); // External IP changed, fire event to ensure we can use it
+        try {
+          await this._onUnrequestedIPChange(circuit, extIp); // External IP changed, fire event to ensure we can use it
+        } catch (err) {
+          // a store outage (redis, sqlite) shouldn't stop polling
+          WARN(`[-] ${this.constructor.name} poller [${circuit.getIdentifier()}] - could not record IP change to ${extIp}: ${err && err.message || err}. Retrying next poll`);
+        }
       }
 
       circuit.lastIPPollTime = new Date().getTime(); // also set by _onChangedIP
 
       // enforce a wait until next IP query
-      await new Promise((resolve, reject) => setTimeout(resolve, circuit.poll_wait_interval));
+      await this._sleep(circuit.poll_wait_interval);
     }
   }
 
-  // should probably eventually have these scans for all circuits...
+  /**
+   * Exit IP of circuit, from the ipCheckSources. Falls back to the next source when one fails, and asks
+   * more until ipCheckConsensus of them agree. Starts another round after ipCheckRetryDelay if that fails,
+   * until it gets an answer. Rejects if the manager closes meanwhile
+   */
   async _getExternalIP (circuit) {
-    return await new AdvancedProxiedRequest.IPCheckRequest({
-      url: this.EXTERNAL_IP_CHECK_URL,
-      reqArgs: {
-        proxyClient: circuit.pollingClient,
-      },
-    }).runAsync();
+    while (true) {
+      let ip = await this._checkExternalIP(circuit);
+
+      if (ip) {
+        return ip;
+      }
+
+      this._checkOpen(`${this.constructor.name}._getExternalIP`);
+      WARN(`[-] ${this.constructor.name}._getExternalIP [${circuit.getRedactedIdentifier()}] - no IP from the IP check sources. Retrying in ${this.ipCheckRetryDelay}ms`);
+
+      await this._sleep(this.ipCheckRetryDelay);
+      this._checkOpen(`${this.constructor.name}._getExternalIP`);
+    }
   }
 
-  async changeIPIfNecessary (circuit, actionName=null) {
-    if (this.isCurrentlyChanging) {
-      // Create a promise and hang on pendingCallbacks being evaluated once IP is changed
-      DEBUG(`[%] ${this.constructor.name}.changeIPIfNecessary - adding to pending callbacks`);
-      return await new Promise((resolve, reject) => this.pendingCallbacks.push(resolve));
+  // One round over the IP check sources. null if they failed or didn't agree.
+  // Records one result on the circuit, not one per source: a dead source isn't the circuit's fault
+  async _checkExternalIP (circuit) {
+    let votes = {}; // ip => sources that returned it
+    let didReachTarget = false;
+
+    for (let source of this._getIPCheckOrder()) {
+      let req = new AdvancedProxiedRequest.IPCheckRequest({
+        url: source.url,
+        ipCheckSource: source,
+        maxRetries: this.ipCheckRetries,
+        reqArgs: {
+          proxyClient: circuit.pollingClient,
+        },
+      });
+      req.recordsCircuitResults = false;
+
+      let start = new Date().getTime();
+      let ip = null;
+
+      this.ipCheckRequests.add(req); // close waits for these
+      try {
+        ip = await req.runAsync();
+        source.successes++;
+      } catch (err) {
+        source.failures++;
+        source.lastError = err.message;
+        didReachTarget = didReachTarget || req.didReachTarget();
+
+        DEBUG(`[D] ${this.constructor.name}._checkExternalIP [${circuit.getRedactedIdentifier()}] - ${err.message}. Trying the next source`);
+        continue;
+      } finally {
+        this.ipCheckRequests.delete(req);
+      }
+
+      votes[ip] = (votes[ip] || 0) + 1;
+
+      if (votes[ip] >= this.ipCheckConsensus) {
+        circuit.recordSuccess(new Date().getTime() - start);
+        return ip;
+      }
     }
 
-    if (actionName == null) {
-      DIE(`[!] ${this.constructor.name}.changeIPIfNecessary - 2nd argument must be actionName!`);
+    if (Object.keys(votes).length) {
+      WARN(`[-] ${this.constructor.name}._checkExternalIP [${circuit.getRedactedIdentifier()}] - IP check sources disagree: ${JSON.stringify(votes)}`);
+      circuit.recordSuccess(); // they answered through it
+    } else if (didReachTarget) {
+      circuit.recordSuccess();
+    } else {
+      circuit.recordFailure();
     }
-    
+
+    return null;
+  }
+
+  // Sources in the order to ask them. "rotate" starts one further each check to spread the load
+  _getIPCheckOrder () {
+    if (this.ipCheckStrategy != "rotate") {
+      return this.ipCheckSources;
+    }
+
+    let start = this.ipCheckRotation++ % this.ipCheckSources.length;
+    return this.ipCheckSources.slice(start).concat(this.ipCheckSources.slice(0, start));
+  }
+
+  async changeIPIfNecessary (circuit, actionName=null, scope=null) {
+    this._checkOpen(`${this.constructor.name}.changeIPIfNecessary`);
+
+    if (circuit.isChanging()) {
+      // Hang on the circuit's pendingCallbacks being evaluated once its IP is changed
+      DEBUG(`[%] ${this.constructor.name}.changeIPIfNecessary - adding to pending callbacks of ${circuit.getIdentifier()}`);
+      return await circuit.waitForIPChange();
+    }
+
+    this._checkActionName(actionName, `${this.constructor.name}.changeIPIfNecessary`, scope);
+
     // check if still space to continue
-    if (this._isIPAvailableForRequests(circuit.activeExitNodeIP, actionName)) {
+    if (await this._isIPAvailableForRequests(circuit.activeExitNodeIP, actionName, scope)) {
       return false; // no need to change
     } else {
-      await this._definitivelyChangeToAvailableIP(circuit); // marks this.isCurrentlyChanging = true
+      await this._definitivelyChangeToAvailableIP(circuit, null, actionName, scope); // marks circuit as changing
       return true;
     }
   }
 
   // Change exit nodes NOW. Potentially from hitting problem or banned IP
   async forceIPChangeImmediately (circuit) {
+    this._checkOpen(`${this.constructor.name}.forceIPChangeImmediately`);
+
     DEBUG(`[D] ${this.constructor.name}.forceIPChangeImmediately - Changing IP for ${circuit.getIdentifier()}`);
     
     // another tick is already handling it probably.
     // if not, requests will fail again afterwards and call this again anyway
-    if (this.isCurrentlyChanging) {
-      // Create a promise and hang on pendingCallbacks being evaluated once IP is changed
+    if (circuit.isChanging()) {
+      // Hang on the circuit's pendingCallbacks being evaluated once its IP is changed
       DEBUG(`[%] ${this.constructor.name}.forceIPChangeImmediately - already changing. adding to pending callbacks`);
-      return await new Promise((resolve, reject) => this.pendingCallbacks.push(resolve));
+      return await circuit.waitForIPChange();
     } else {
       // NOTE: Not checking _getExternalIP to see if we already changed IPs.
       // Could result in our request counts per IP being a smidge off if there was
       // an IP change before this call BUT after determining IP needs changing
-      return await this._definitivelyChangeToAvailableIP(circuit); // marks this.isCurrentlyChanging = true
+      return await this._definitivelyChangeToAvailableIP(circuit); // marks circuit as changing
     }
   }
 
@@ -368,88 +1012,284 @@ class ProxyRateManager {
    * @param {String} newIp - The new IP that circuit has changed to
    */
   async _onUnrequestedIPChange (circuit, newIp) {
-    this.isCurrentlyChanging = true; // mark early
-    this._initializeIPDataIfNotInitialized(newIp);
+    circuit.markChanging(); // mark early
 
     let oldIp = circuit.activeExitNodeIP;
-    let ipStats = this.reqStats[oldIp];
     let lastIPPollTime = circuit.lastIPPollTime;
 
     INFO(`[-] ${this.constructor.name} poller [${circuit.getIdentifier()}] - Unrequested exit IP change ${oldIp}=>${newIp} !!`);
 
-    // Catalog these counts toward BOTH current and new IP for requests since last IP poll time TO BE SAFE
-    for (let actionName in this.actionLimits) {
-      let i = 0;
-      let actionStats = ipStats[actionName];
-      let point = null;
-      
-      while ((point = actionStats[actionStats.length - 1 - i]) && point > lastIPPollTime) {
-        i++;
+    // store errors reject to the poller, which sees the change again next poll. the circuit must not stay changing
+    try {
+      // Catalog these counts toward BOTH current and new IP for requests since last IP poll time TO BE SAFE
+      for (let stat of await this._getStatNamesForIP(oldIp)) {
+        let ambiguousPoints = await this.store.getTimestamps(oldIp, stat.statName, lastIPPollTime + 1);
+
+        // Add those points to the newIp
+        for (let point of ambiguousPoints) {
+          await this.store.record(newIp, stat.statName, point);
+        }
+      }
+
+      // Decent time to write the cache in case of closing. Right now tor changes IP about every 15s with no provocation
+      await this._writeOutCache();
+
+      /* NOTE 12-13-18 _isIPAvailableForRequests now requires action name. This can't work now
+      // Check if we can use this IP (with updated stats). Else get a new one
+      if (this._isIPAvailableForRequests(newIp, SOME_ACTION_NAME)) {
+        await this._onChangedIP(circuit, newIp); // newIp is not exhausted
+      } else {
+        await this._definitivelyChangeToAvailableIP(circuit, newIp);
+      }*/
+
+      return await this._onChangedIP(circuit, newIp, false); // newIp COULD be exhausted for some
+    } finally {
+      if (circuit.isChanging()) {
+        circuit.releasePendingCallbacks(circuit.activeExitNodeIP == newIp);
       }
+    }
+  }
 
-      let ambiguousPoints = actionStats.slice(0, -i); // slice not splice from END, copying data points!
+  
+  // remove the timestamps of old requests outside of the possible range to affect a rate limit
+  async _preenOldRequestsForIP (ip) {
+    let now = new Date().getTime();
 
-      // Add those points to the newIp
-      this.reqStats[newIp][actionName] = this.reqStats[newIp][actionName].concat(ambiguousPoints);
+    for (let stat of await this._getStatNamesForIP(ip)) {
+      let since = Math.min(...this.actionRules[stat.actionName].map(rule => rule.getSince(now)));
+      await this.store.prune(ip, stat.statName, since);
     }
+  }
 
-    // Decent time to write the cache in case of closing. Right now tor changes IP about every 15s with no provocation
-    await this._writeOutCache();
+  // will return true if requests are below threshold of the set limit
+  async _isIPAvailableForRequests (ip, actionName=null, scope=null) {
+    if (this.blacklistedIPs[ip]) {
+      return false; // blacklisted
+    }
 
-    /* NOTE 12-13-18 _isIPAvailableForRequests now requires action name. This can't work now
-    // Check if we can use this IP (with updated stats). Else get a new one
-    if (this._isIPAvailableForRequests(newIp, SOME_ACTION_NAME)) {
-      await this._onChangedIP(circuit, newIp); // newIp is not exhausted
-    } else {
-      await this._definitivelyChangeToAvailableIP(circuit, newIp);
-    }*/
+    this._checkActionName(actionName, `${this.constructor.name}._isIPAvailableForRequests`, scope);
+
+    let cooldown = this.getCooldown(ip, actionName, scope);
+    let banScope = {target: this._getScopeTarget(actionName, scope), actionName: actionName};
+
+    if (this.isIPBanned(ip, banScope) || (cooldown && cooldown.remaining <= 0)) {
+      return false;
+    }
+
+    let quota = await this.getActionQuota(ip, actionName, scope);
 
-    return await this._onChangedIP(circuit, newIp); // newIp COULD be exhausted for some 
+    for (let rule of quota.rules) {
+      if (rule.remaining <= 0) {
+        this.emit('limitReached', {ip: ip, actionName: actionName, scope: scope, limit: rule.limit, count: rule.count, rule: rule});
+      }
+    }
+
+    // return whether or not recent requests are below thresholds of every rule!
+    return quota.remaining > 0;
   }
 
-  
-  // remove the timestamps of old requests outside of the possible range to affect a rate limit
-  _preenOldRequestsForIP (ip) {
+  /**
+   * Where ip stands against each of actionName's rules. Only requests (and reservations) the rules look back over count
+   * @return {Object} {remaining, availableAt, isOverLimit, rules}. remaining is the fewest left by any rule and
+   *   availableAt the latest of the rules' (now if every rule has a slot). rules has each rule's describe() plus its
+   *   own {limit, count, remaining, availableAt}
+   */
+  async getActionQuota (ip, actionName, scope=null) {
+    this._checkActionName(actionName, `${this.constructor.name}.getActionQuota`, scope);
+
     let now = new Date().getTime();
+    let rules = this.actionRules[actionName];
+    let statName = this._getStatName(actionName, scope);
+    let since = Math.min(...rules.map(rule => rule.getSince(now)));
+    let timestamps = await this.store.getTimestamps(ip, statName, since); // oldest first
+
+    let results = rules.map(rule => Object.assign(rule.describe(), rule.evaluate(timestamps, now)));
+    let quota = {
+      remaining: Math.min(...results.map(result => result.remaining)),
+      availableAt: Math.max(...results.map(result => result.availableAt)),
+      isOverLimit: results.some(result => result.isOverLimit),
+      rules: results,
+    };
 
-    for (let actionName in this.actionResetTimes) {
-      let TIME_FOR_RATE_RESET = this.actionResetTimes[actionName];
+    this.recentQuotas[ip] = this.recentQuotas[ip] || {};
+    this.recentQuotas[ip][statName] = quota.remaining;
 
-      while (this.reqStats[ip][actionName].length && (now - this.reqStats[ip][actionName][0]) > TIME_FOR_RATE_RESET) {
-        this.reqStats[ip][actionName].shift(); // remove first element (oldest request)
+    return quota;
+  }
+
+  /**
+   * Slots left for actionName on ip, from the quota last read from the store (the smallest rule limit if never read).
+   * Synchronous and approximate. Use _isIPAvailableForRequests / acquire for decisions that must hold
+   */
+  getRemainingQuota (ip, actionName, scope=null) {
+    if (this.blacklistedIPs[ip] || this.isIPBanned(ip, {target: this._getScopeTarget(actionName, scope), actionName: actionName})) {
+      return 0;
+    }
+
+    let recent = this.recentQuotas[ip] && this.recentQuotas[ip][this._getStatName(actionName, scope)];
+    let remaining = (recent == null) ? this.actionLimits[actionName] : recent;
+    let cooldown = this.getCooldown(ip, actionName, scope);
+
+    return cooldown ? Math.min(remaining, cooldown.remaining) : remaining;
+  }
+
+  /**
+   * Take the target's word on ip's quota for actionName until {until}: no slot left (remaining 0, after a 429
+   * or Retry-After), or at most {remaining} more. Our own count keeps applying too. Kept in memory only
+   * @param {String} ip
+   * @param {String} actionName
+   * @param {Object} options - {until: ms timestamp, remaining, reason, scope (for scoped actions)}
+   */
+  setCooldown (ip, actionName, {until, remaining=0, reason=null, scope=null}) {
+    let cooldown = {ip: ip, actionName: actionName, scope: scope, until: until, remaining: remaining, reason: reason};
+
+    for (let key in this.cooldowns) {
+      if (this.cooldowns[key].until <= new Date().getTime()) {
+        delete this.cooldowns[key];
       }
     }
+
+    this.cooldowns[`${ip}\n${this._getStatName(actionName, scope)}`] = cooldown;
+
+    if (remaining <= 0) {
+      INFO(`[-] ${this.constructor.name}.setCooldown - ${ip} has no ${this._getStatName(actionName, scope)} slot until ${new Date(until).toISOString()}. ${reason || ''}`);
+      this.emit('cooldownStarted', {ip: ip, actionName: actionName, scope: scope, until: until, reason: reason});
+    }
+
+    return cooldown;
   }
 
-  _isIPAvailableForRequests (ip, actionName=null) { // will return true if requests are below threshold of the set limit
-    if (!this.reqStats[ip]) {
-      return true; // totally fresh IP
-    } else if (this.blacklistedIPs[ip]) {
-      return false; // blacklisted
-    } else if (actionName == null) {
-      DIE(`[!] ${this.constructor.name}._isIPAvailableForRequests - 2nd argument must be actionName!`);
+  // The cooldown on ip for actionName (in scope), or null if none or it expired
+  getCooldown (ip, actionName, scope=null) {
+    let key = `${ip}\n${this._getStatName(actionName, scope)}`;
+    let cooldown = this.cooldowns[key];
+
+    if (cooldown && cooldown.until <= new Date().getTime()) {
+      delete this.cooldowns[key];
+      return null;
+    }
+
+    return cooldown || null;
+  }
+
+  // One of the target's reported slots was just taken
+  _useCooldownSlot (ip, actionName, scope=null) {
+    let cooldown = this.getCooldown(ip, actionName, scope);
+
+    if (cooldown && cooldown.remaining > 0) {
+      cooldown.remaining--;
+    }
+  }
+
+  /**
+   * Ban an exit IP for a while. Saved in the store so it outlives this process.
+   * Banned IPs are unavailable for the action (acquire and changeIPIfNecessary move away from them),
+   * and requests to the target are sent from another IP
+   * @param {String} ip
+   * @param {Object} options
+   *   - target: host that banned it. null for every target
+   *   - actionName: action it was banned for. null for every action
+   *   - ttl: ms until the ban expires
+   *   - reason: for logs and getBans
+   * @return {Object} the ban {ip, target, actionName, until, reason}
+   */
+  async banIP (ip, {target=null, actionName=null, ttl=this.banTTL, reason=null}={}) {
+    let ban = {ip: ip, target: target, actionName: actionName, until: new Date().getTime() + ttl, reason: reason};
+
+    this._pruneBans();
+    this.bans[this._banKey(ban)] = ban;
+    await this.store.addBan(ban);
+
+    WARN(`[-] ${this.constructor.name}.banIP - ${ip} banned for ${target || 'every target'} / ${actionName || 'every action'} for ${ttl}ms. ${reason || ''}`);
+    this.emit('ipBanned', Object.assign({}, ban));
+
+    return ban;
+  }
+
+  // Lift the ban banIP made with the same target and actionName
+  async unbanIP (ip, {target=null, actionName=null}={}) {
+    let ban = {ip: ip, target: target, actionName: actionName};
+
+    delete this.bans[this._banKey(ban)];
+    await this.store.removeBan(ban);
+
+    this.emit('ipUnbanned', ban);
+  }
+
+  // Bans that haven't expired. Only the ones this process made or loaded at init
+  getBans () {
+    this._pruneBans();
+    return Object.keys(this.bans).map(key => Object.assign({}, this.bans[key]));
+  }
+
+  /**
+   * Whether a ban covers ip for this target and/or action. A ban for a target with no action
+   * only covers requests that say their target
+   * @param {String} ip
+   * @param {Object} options - {target, actionName}
+   */
+  isIPBanned (ip, {target=null, actionName=null}={}) {
+    return this._getBanExpiry(ip, {target: target, actionName: actionName}) > 0;
+  }
+
+  // When the last ban covering ip for target/actionName expires. 0 if none do
+  _getBanExpiry (ip, {target=null, actionName=null}={}) {
+    let now = new Date().getTime();
+    let expiry = 0;
+
+    for (let key in this.bans) {
+      let ban = this.bans[key];
+
+      let coversAction = !ban.actionName || ban.actionName == actionName;
+      let coversTarget = !ban.target || (target ? ban.target == target : !!ban.actionName); // the action implies the target
+
+      if (ban.ip == ip && ban.until > now && coversAction && coversTarget) {
+        expiry = Math.max(expiry, ban.until);
+      }
     }
 
-    // Preen old request data first
-    this._preenOldRequestsForIP(ip);
+    return expiry;
+  }
+
+  _pruneBans () {
+    let now = new Date().getTime();
 
-    // return whether or not preened results are below thresholds!
-    return this.reqStats[ip][actionName].length < this.actionLimits[actionName];
+    for (let key in this.bans) {
+      if (this.bans[key].until <= now) {
+        delete this.bans[key];
+      }
+    }
+  }
+
+  _banKey (ban) {
+    return `${ban.ip}\n${ban.target || ''}\n${ban.actionName || ''}`;
+  }
+
+  /**
+   * First ban classifier matching a response, the request's own before the manager's
+   * @param {Object} response - {statusCode, headers, body, url, ip}
+   * @param {Array} extraClassifiers - BanClassifiers (or their options) for this request only
+   * @return {BanClassifier|null}
+   */
+  classifyResponse (response, extraClassifiers=[]) {
+    let classifiers = extraClassifiers.map(BanClassifier.from).concat(this.banClassifiers);
+    return classifiers.find(c => c.matches(response)) || null;
   }
 
-  _shouldPreenIPData () {
-    return Object.keys(this.reqStats).length > 500;
+  async _shouldPreenIPData () {
+    return (await this.store.getIPs()).length > 500;
   }
 
-  async _onChangedIP (circuit, newIp) {
+  /**
+   * Set a circuit's new exit IP and release whoever waits on it
+   * @param {Boolean} requested - false if the IP changed without us asking (noticed by the poller)
+   */
+  async _onChangedIP (circuit, newIp, requested=true) {
     if (!newIp) {
       DIE(`[!] ${this.constructor.name}._onChangedIP - newIp must be provided!`);
     }
-    
-    this._initializeIPDataIfNotInitialized(newIp);
 
-    // Set this to current IP and run pending callbacks
-    this.isCurrentlyChanging = false;
+    let oldIp = circuit.activeExitNodeIP;
 
     circuit.activeExitNodeIP = newIp;
     circuit.lastIPPollTime = new Date().getTime();
@@ -457,218 +1297,272 @@ class ProxyRateManager {
     this.numFollowsSinceLastIPPollTime = 0;
 
     // Try to keep the ip list reasonable
-    if (this._shouldPreenIPData()) {
-      this.freeOldIPData(); 
+    if (await this._shouldPreenIPData()) {
+      await this.freeOldIPData();
     }
 
-    DEBUG(`[%] ${this.constructor.name}._onChangedIP - releasing ${this.pendingCallbacks.length} pending callbacks`);
+    // IP is set. Release only the callers waiting on this circuit
+    circuit.releasePendingCallbacks(true);
 
-    // Fire off whatever promise resolve functions have built up while seeking new exit path
-    while (this.pendingCallbacks.length) {
-      let fn = this.pendingCallbacks.shift(); // start from front
-      if (typeof(fn) == "function") {
-        (function (fn) { // wrap might not be necessary. doing it for safety
-          process.nextTick(function () { fn(true); }); // mark IP changed with true          
-        })(fn);
-      }
+    if (oldIp && oldIp != newIp) {
+      circuit.lastIPChangeTime = circuit.lastIPPollTime;
+      this.emit('ipChanged', {circuit: circuit, oldIp: oldIp, newIp: newIp, requested: requested});
+    }
+
+    if (this.blacklistedIPs[newIp]) {
+      WARN(`[-] ${this.constructor.name}._onChangedIP [${circuit.getIdentifier()}] - exit IP ${newIp} is blacklisted`);
+      this.emit('blacklistedIPSeen', {circuit: circuit, ip: newIp});
     }
 
     return;
   }
 
-  // A simple pid lookup for running tor processes
-  async _getListOfTorProcesses () {
-    return await new Promise((resolve, reject) => {
-      ps.lookup({ command: /^tor$/, psargs: 'awwxo pid,comm,args,ppid' }, (err, resultList) => {
-        if (err) {
-          throw new Error(err);
-        }
+  // Local tor circuit already using one of circuit's SocksPort/ControlPort. null if none
+  _getTorPortClash (circuit) {
+    let ports = [Number(circuit.port), Number(circuit.controlPort)];
 
-        return resolve(resultList);
-      });
-    });
+    return this._getLocalTorCircuits().filter(c => c != circuit && (
+      ports.indexOf(Number(c.port)) != -1 || ports.indexOf(Number(c.controlPort)) != -1
+    ))[0] || null;
   }
 
-  // starts child daemon process. won't close when/if node closes
-  async _startTorIfNotStarted () {
-    let isRunning = await this._checkIfTorIsRunning();
-    if (isRunning) {
-      this.isCurrentlyRestarting = false;
-      return true; // was running already
-    }
-
-    // start tor...
-    INFO(`[+] ${this.constructor.name}._startTorIfNotStarted - Tor was not running. Starting now...`);
-
-    let torProc = new childprocessmanager({
-      processPath: "tor",
-      onStdout: (data) => {
-        INFO(`[D] ${this.constructor.name}: New tor stdout chunk:`, data);
-      },
-      onStderr: (data) => {
-        INFO(`[D] ${this.constructor.name}: New tor stderr chunk:`, data);
-      },
-      onDataLine: (line) => {
-        // Full line of data received (will be called as well as onStdout, recommend only using this callback)
-        //INFO("[D] New line of data from stdout:", line); // do nothing
-      },
-      onClose: () => {
-        INFO(`[D] ${this.constructor.name}: tor process closed. Well, at least its stdin/stdout are closed`);
-      },
-      detached: true, // true to let process continue to run if node closes
-    });
+  /**
+   * Start the tor instance owned by a local tor circuit
+   * Each circuit gets its own torrc, DataDirectory, SocksPort, ControlPort and PID
+   * @param {ProxyCircuit} circuit
+   */
+  async _startTorForCircuit (circuit) {
+    let clash = this._getTorPortClash(circuit);
+
+    if (clash) {
+      throw new InvalidConfigError(`${this.constructor.name}._startTorForCircuit - [${circuit.getRedactedIdentifier()}] SocksPort/ControlPort ${circuit.port}/${circuit.controlPort} clash with [${clash.getRedactedIdentifier()}]`, {field: "port"});
+    }
 
-    torProc.startProc([ '--runasdaemon', '1' ]);
+    circuit.torInstance = new LocalTorInstance({
+      socksPort: circuit.port,
+      controlPort: circuit.controlPort,
+      dataDirectory: circuit.torDataDirectory || path.join(this.torDataDirectory, `tor-${circuit.port}`),
+      torPath: this.torPath,
+      torrcLines: circuit.torrcLines,
+      torControl: circuit.torControl,
+    });
 
-    // enforce a wait of 5 seconds to start up
-    await new Promise((resolve, reject) => setTimeout(resolve, 5000));
+    // Read this instance's cookie directly instead of trusting whatever answers PROTOCOLINFO
+    if (circuit.torControl) {
+      circuit.torControl.cookieFile = circuit.torInstance.getCookieFilePath();
+    }
 
-    this.isCurrentlyRestarting = false;
+    let pid = await circuit.torInstance.start();
+    this.emit('torStarted', {circuit: circuit, pid: pid});
 
-    return false; // was not running already
+    return pid;
   }
 
-  async _checkIfTorIsRunning () {
-    // Ensure tor is RUNNING as an external process.
-    let resultList = await new Promise((resolve, reject) => {
-      ps.lookup({ command: /^tor$/, psargs: 'awwxo pid,comm,args,ppid' }, (err, resultList) => {
-        if (err) {
-          throw new Error(err);
-        }
+  _getLocalTorCircuits () {
+    return this.getAllCircuits().filter(c => c.isLocalTor && c.isValid());
+  }
 
-        return resolve(resultList);
+  /**
+   * Restart ONLY the tor instance of the given local tor circuit
+   * @param {ProxyCircuit} circuit
+   */
+  async forceRestartTorImmediately (circuit) {
+    if (!circuit.torInstance) {
+      throw new TorUnavailableError(`${this.constructor.name}.forceRestartTorImmediately - [${circuit.getRedactedIdentifier()}] has no local tor to restart`, {
+        circuit: circuit,
       });
-    });
-
-    return resultList.length > 0;
-  }
+    }
 
-  async forceRestartTorImmediately () {
-    // Prevent requests from retrying and failing really quickly.
+    // Prevent requests on this circuit from retrying and failing really quickly.
     // Some will fail but will retry due to advancedrequest
-    this.isCurrentlyChanging = true;
+    circuit.markChanging();
 
-    // Don't have multiple ticks trying to restart tor
-    if (this.isCurrentlyRestarting) {
+    // Don't have multiple ticks trying to restart the same tor
+    if (circuit.isCurrentlyRestarting) {
       INFO(`[D] ${this.constructor.name}.forceRestartTorImmediately - restart already triggered, adding to pendingCallbacks...`);
-      // Create a promise and hang on pendingCallbacks being evaluated once IP is changed
-      return await new Promise((resolve, reject) => { this.pendingCallbacks.push(resolve); });
+      return await circuit.waitForIPChange();
     }
-    this.isCurrentlyRestarting = true;
-
-    INFO(`[D] ${this.constructor.name}.forceRestartTorImmediately - restarting tor`);
+    circuit.isCurrentlyRestarting = true;
 
-    await this._killAllTorProcesses();
+    INFO(`[D] ${this.constructor.name}.forceRestartTorImmediately - restarting ${circuit.torInstance.getIdentifier()}`);
 
-    // All tors are dead. Now restart tor...
-    await this._startTorIfNotStarted();
-    
-    //this.isCurrentlyRestarting = false; <-- will be done in _startTorIfNotStarted
-    for (let circuit of this.circuits.filter(c => c.isLocalTor)) {
-      let extIp = await this._getExternalIP(circuit); 
-      await this._onUnrequestedIPChange(circuit, extIp); // Probably won't be same IP. Double count reqs
+    try {
+      await circuit.torInstance.restart();
+    } catch (err) {
+      circuit.releasePendingCallbacks(false);
+      throw err;
+    } finally {
+      circuit.isCurrentlyRestarting = false;
     }
-    
-    //this.isCurrentlyChanging = false; <-- will be done in _onUnrequestedIPChange
+
+    this.emit('torRestarted', {circuit: circuit, pid: circuit.torInstance.pid});
+
+    let extIp = await this._getExternalIP(circuit);
+    await this._onUnrequestedIPChange(circuit, extIp); // Probably won't be same IP. Double count reqs
+
+    // circuit's pending callbacks are released in _onUnrequestedIPChange
 
     return; // completed restart
   }
 
-  async _killAllTorProcesses () {
-    let resultList = await this._getListOfTorProcesses();
+  // Stop every tor instance this manager started
+  async _stopAllTorInstances () {
+    let circuits = this._getLocalTorCircuits().filter(c => c.torInstance);
 
-    if (!resultList.length) {
-      INFO(`[D] ${this.constructor.name}._killAllTorProcesses - Tor process not found? Maybe it died? Restarting it anyway.`);
+    for (let circuit of circuits) {
+      await circuit.torInstance.stop();
     }
 
-    // Kill all found tor processes
-    for (let p of resultList) {
-      INFO(`[D] ${this.constructor.name}._killAllTorProcesses - Killing tor: PID: ${p.pid}, COMMAND: ${p.command}, ARGUMENTS: ${p.arguments}`);
+    return circuits.length;
+  }
+
+  // internal function to definitively change to an IP address that we have not hit the limits on.
+  // With actionName, new IPs already exhausted for it count as failed tries. The last one is kept if all were
+  async _definitivelyChangeToAvailableIP (circuit, actualExitIP=null, actionName=null, scope=null) {
+    // IP needs changing now. Only this circuit's callers wait on it
+    circuit.markChanging();
 
-      let err = await new Promise((resolve, reject) => ps.kill(p.pid, resolve));
+    // anything that rejects below (IP checks, the store) must not leave the circuit changing. its waiters would hang
+    try {
+      let storedExitIP = circuit.activeExitNodeIP;
 
-      if (err) { // we want the timeout err if it occurs
-        throw new Error(err);
+      if (!actualExitIP) {
+        actualExitIP = await this._getExternalIP(circuit); // fetch if not given
       }
-    }
 
-    return resultList.length;
-  }
+      // causes infinite loop... I guess we shouldn't call this here
+      /*if (storedExitIP == actualExitIP) {
+        INFO(`[D] ${this.constructor.name}._definitivelyChangeToAvailableIP IP didn't change on us. Requested to change it`);
+      } else {
+        await this._onUnrequestedIPChange(circuit??, actualExitIP);
+      }*/
+
+      let numTries = 0;
+      let lastError = null;
+      let lastExhaustedIP = null;
+
+      while (numTries < this.MAX_CHANGE_TRIES) {
+        // change of exit node, SIGNAL NEWNYM (or SIGHUP) to tor, or the circuit's rotation
+        try {
+          await this._changeExitNode(circuit);
+        } catch (err) {
+          if (err instanceof TorUnavailableError) {
+            circuit.releasePendingCallbacks(false);
+            throw err; // no point retrying
+          }
+
+          WARN(`[-] ${this.constructor.name} - failed to change exit node: ${err && err.message || err}. ${this.MAX_CHANGE_TRIES - numTries} left`);
+          lastError = err;
+          numTries++;
+          continue;
+        }
 
-  // internal function to definitively change to an IP address that we have not hit the limits on
-  async _definitivelyChangeToAvailableIP (circuit, activeExitNodeIP=null) {
-    // IP needs changing now
-    this.isCurrentlyChanging = true;
+        // now check if the IP changed
+        let extIp = await this._getExternalIP(circuit);
+
+        if (extIp == actualExitIP) { // FALSE here to prevent loop. FIX LATER
+          INFO(`[-] ${this.constructor.name} - failed to change exit node! Retrying... ${this.MAX_CHANGE_TRIES - numTries} left`);
+          numTries++;
+          continue;
+        } else if (actionName && !(await this._isIPAvailableForRequests(extIp, actionName, scope))) {
+          INFO(`[-] ${this.constructor.name} - changed to an IP exhausted for ${actionName}: ${extIp}. Retrying... ${this.MAX_CHANGE_TRIES - numTries} left`);
+          lastExhaustedIP = actualExitIP = extIp;
+          numTries++;
+          continue;
+        } else {
+          // DONE
+          INFO(`[+] ${this.constructor.name} - SUCCESSFUL CHANGE after exhausting an IP. NewIP: ${extIp}`);
+          await this._onChangedIP(circuit, extIp); // releases the circuit's pending callbacks
+          return; // success
+        }
+      }
 
-    let storedExitIP = circuit.activeExitNodeIP;
+      // it did change, only to exhausted IPs. callers can wait for a slot (see getEarliestAvailableSlot)
+      if (lastExhaustedIP) {
+        await this._onChangedIP(circuit, lastExhaustedIP);
+        return;
+      }
 
-    if (!actualExitIP) {
-      actualExitIP = await this._getExternalIP(circuit); // fetch if not given
+      // UNABLE to change exit node ${numTries} in a row. That's bad
+      circuit.releasePendingCallbacks(false);
+      throw new RotationFailedError(`${this.constructor.name} - [${circuit.getRedactedIdentifier()}] failed ${numTries} times changing exit IP from ${actualExitIP}`, {
+        circuit: circuit,
+        numTries: numTries,
+        cause: lastError,
+      });
+    } catch (err) {
+      if (circuit.isChanging()) {
+        circuit.releasePendingCallbacks(false);
+      }
+      throw err;
     }
+  }
 
-    // causes infinite loop... I guess we shouldn't call this here
-    /*if (storedExitIP == actualExitIP) {
-      INFO(`[D] ${this.constructor.name}._definitivelyChangeToAvailableIP IP didn't change on us. Requested to change it`);
-    } else {
-      await this._onUnrequestedIPChange(circuit??, actualExitIP);
-    }*/
-
-    let numTries = 0;
-
-    while (numTries < this.MAX_CHANGE_TRIES) {
-      // change of exit node, send SIGHUP to tor
-      await this._changeExitNode();
+  // DO NOT CALL THIS to change external IP. call forceIPChangeImmediately instead
+  // Rotates circuits that have a rotation. Otherwise asks tor for a new circuit over the
+  // circuit's ControlPort, falling back to SIGHUP to the circuit's own tor if the ControlPort can't be used.
+  async _changeExitNode (circuit) {
+    if (circuit.rotation) {
+      return await this._rotateCircuit(circuit);
+    }
 
-      // now check if the IP changed
-      let extIp = await this._getExternalIP(circuit);
+    if (circuit.torControl) {
+      try {
+        return await circuit.torControl.signalNewnym();
+      } catch (err) {
+        if (!circuit.isLocalTor) {
+          throw err; // can't SIGHUP a tor we don't run
+        }
 
-      if (extIp == actualExitIP) { // FALSE here to prevent loop. FIX LATER
-        INFO(`[-] ${this.constructor.name} - failed to change exit node! Retrying... ${this.MAX_CHANGE_TRIES - numTries} left`);
-        numTries++;
-        continue;
-      /* NOTE: 12-13-18 changed _isIPAvailableForRequests to require an actionName. This can't work now
-      } else if (!this._isIPAvailableForRequests(extIp, SOME_ACTION_NAME)) {
-        INFO(`[+] ${this.constructor.name} - changed to an exhausted IP: ${extIp}`);
-        // did change, but to an IP we maxed the rates on - so not incrementing numTries but still trying again
-        continue;*/
-      } else {
-        // DONE
-        INFO(`[+] ${this.constructor.name} - SUCCESSFUL CHANGE after exhausting an IP. NewIP: ${extIp}`);
-        await this._onChangedIP(circuit, extIp); // marks  this.isCurrentlyChanging = false;
-        return; // success
+        WARN(`[-] ${this.constructor.name}._changeExitNode [${circuit.getIdentifier()}] - ControlPort failed: ${err.message}. Falling back to SIGHUP`);
       }
     }
 
-    // UNABLE to change exit node ${numTries} in a row. That's bad
-    return DIE(`[!] ERR. Failed ${numTries} times changing activeExitNodeIP from ${actualExitIP}`);
+    if (!circuit.torInstance) {
+      throw new TorUnavailableError(`${this.constructor.name}._changeExitNode - [${circuit.getRedactedIdentifier()}] has no ControlPort or local tor to signal`, {
+        circuit: circuit,
+      });
+    }
+
+    return await circuit.torInstance.sighup(); // only this circuit's tor
   }
 
-  // DO NOT CALL THIS to change external IP. call forceIPChangeImmediately instead
-  // This sends the SIGHUP signal to the tor process to force it to reroute
-  // and get us a new external IP address.
-  async _changeExitNode () {
-    // Sending the tor process SIGHUP makes it change exit nodes!
-    let resultList = await this._getListOfTorProcesses();
+  // Run a non-tor circuit's rotation (see ProxyCircuit rotation option)
+  async _rotateCircuit (circuit) {
+    let rotation = circuit.rotation;
+
+    DEBUG(`[D] ${this.constructor.name}._rotateCircuit [${circuit.getIdentifier()}] - rotating by ${rotation.type}`);
 
-    if (!resultList.length) {
-      DIE(`[D] ${this.constructor.name}._changeExitNode - Tor process not found? It probably died, now so shall we!`);
+    if (rotation.type == "url") {
+      await new AdvancedProxiedRequest.RotationRequest({
+        url: rotation.url,
+        method: rotation.method,
+        headers: rotation.headers,
+      }).runAsync();
+    } else if (rotation.type == "session") {
+      circuit.regenerateSession();
+    } else {
+      await rotation.fn(circuit);
     }
 
-    for (let p of resultList) {
-      INFO(`[D] ${this.constructor.name} - tor: PID: ${p.pid}, COMMAND: ${p.command}, ARGUMENTS: ${p.arguments}`);
+    if (rotation.settleTime) {
+      await this._sleep(rotation.settleTime); // cut short by close
+    }
+  }
 
-      // Wait 1 second before checking if tor dies. Tor won't die, so it will throw err
-      // We catch err, and check after sending SIGHUP to see if IP changed from sighup 1 second ago
-      let err = await new Promise((resolve, reject) => {
-        ps.kill(p.pid, { signal: 'SIGHUP', timeout: 1, }, resolve); // sending SIGHUP to tor changes exit node!
+  /**
+   * Read the exit relays tor is currently using for a tor circuit with a ControlPort
+   * @param {ProxyCircuit} circuit
+   * @return {Array of Objects} [{circuitId, fingerprint, nickname, ip}]
+   */
+  async getTorExitNodes (circuit) {
+    if (!circuit.torControl) {
+      throw new TorUnavailableError(`${this.constructor.name}.getTorExitNodes - [${circuit.getRedactedIdentifier()}] has no tor ControlPort`, {
+        circuit: circuit,
       });
-
-      if (err && err.toString() != 'Error: Kill process timeout') {
-        throw new Error(err);
-      }
     }
 
-    return; // exit node (and theefore external IP) changed. COULD BE AN IP WE'RE FULL UP ON
+    return await circuit.torControl.getExitNodes();
   }
 };
 
@@ -0,0 +1,213 @@
+"use strict";
+
+const http = require('http');
+
+
+/**
+ * ProxyRateMetrics
+ * Prometheus text format metrics for a ProxyRateManager.
+ * Counters are fed by the manager's events from the moment this is created.
+ *
+ * let metrics = new ProxyRateMetrics({manager: proxyRateManager});
+ * let text = await metrics.getMetricsText(); // serve it yourself
+ * await metrics.listen({port: 9464}); // or let this serve GET /metrics
+ */
+class ProxyRateMetrics {
+  constructor (args={}) {
+    this.manager = args.manager;
+    this.prefix = args.prefix || 'proxyratemanager_';
+
+    // poller latency histogram buckets in seconds
+    this.latencyBuckets = args.latencyBuckets || [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+    this.ipChanges = {}; // "<circuit>\n<requested>" => count
+    this.actionsRecorded = {}; // actionName => count
+    this.pollFailures = {}; // circuit => count
+    this.torRestarts = {}; // circuit => count
+    this.pollLatency = {}; // circuit => {buckets: [counts], sum, count}
+
+    this.server = null;
+
+    this._listeners = {
+      ipChanged: (e) => this._inc(this.ipChanges, `${e.circuit.getRedactedIdentifier()}\n${e.requested}`),
+      actionRecorded: (e) => this._inc(this.actionsRecorded, e.actionName),
+      pollFailed: (e) => this._inc(this.pollFailures, e.circuit.getRedactedIdentifier()),
+      torRestarted: (e) => this._inc(this.torRestarts, e.circuit.getRedactedIdentifier()),
+      ipPolled: (e) => this._observeLatency(e.circuit.getRedactedIdentifier(), e.latency / 1000),
+    };
+
+    for (let eventName in this._listeners) {
+      this.manager.on(eventName, this._listeners[eventName]);
+    }
+  }
+
+  /**
+   * All metrics in Prometheus text exposition format
+   * @return {String}
+   */
+  async getMetricsText () {
+    let lines = [];
+    let circuits = this.manager.getAllCircuits();
+
+    this._addMetric(lines, 'circuit_health', 'gauge', 'Circuit health estimate (0-100)',
+      circuits.map(c => [{circuit: c.getRedactedIdentifier()}, c.getHealthScore()]));
+
+    this._addMetric(lines, 'circuit_healthy', 'gauge', 'Whether the circuit is healthy enough to be used (1/0)',
+      circuits.map(c => [{circuit: c.getRedactedIdentifier()}, c.isHealthy() ? 1 : 0]));
+
+    this._addMetric(lines, 'circuit_breaker_state', 'gauge', 'Circuit breaker state (1 for the current one)',
+      [].concat(...circuits.map(c => ['closed', 'open', 'half-open'].map(state => [{circuit: c.getRedactedIdentifier(), state: state}, c.breaker.state == state ? 1 : 0]))));
+
+    this._addMetric(lines, 'circuit_success_rate', 'gauge', 'EWMA of request tries through the circuit that succeeded (0-1)',
+      circuits.map(c => [{circuit: c.getRedactedIdentifier()}, c.breaker.successRate]));
+
+    this._addMetric(lines, 'circuit_latency_seconds', 'gauge', 'EWMA of successful request times through the circuit',
+      circuits.filter(c => c.breaker.latency != null).map(c => [{circuit: c.getRedactedIdentifier()}, c.breaker.latency / 1000]));
+
+    this._addMetric(lines, 'circuit_exit_ip_info', 'gauge', 'Current exit IP of the circuit',
+      circuits.filter(c => c.activeExitNodeIP).map(c => [{circuit: c.getRedactedIdentifier(), ip: c.activeExitNodeIP}, 1]));
+
+    this._addMetric(lines, 'circuit_last_ip_poll_timestamp_seconds', 'gauge', 'When the circuit exit IP was last confirmed',
+      circuits.map(c => [{circuit: c.getRedactedIdentifier()}, c.lastIPPollTime / 1000]));
+
+    this._addMetric(lines, 'circuit_clients', 'gauge', 'Clients attached to the circuit',
+      circuits.map(c => [{circuit: c.getRedactedIdentifier()}, this.manager.clients.filter(client => client.circuit == c).length]));
+
+    this._addMetric(lines, 'ip_changes_total', 'counter', 'Exit IP changes. requested="false" for changes the poller noticed',
+      Object.keys(this.ipChanges).map(key => {
+        let [circuit, requested] = key.split('\n');
+        return [{circuit: circuit, requested: requested}, this.ipChanges[key]];
+      }));
+
+    this._addMetric(lines, 'actions_total', 'counter', 'Actions reported or committed per action key',
+      Object.keys(this.actionsRecorded).map(actionName => [{action: actionName}, this.actionsRecorded[actionName]]));
+
+    let remaining = [];
+    let seenIPs = {};
+    for (let c of circuits) {
+      let ip = c.activeExitNodeIP;
+      if (!ip || seenIPs[ip]) {
+        continue;
+      }
+      seenIPs[ip] = true;
+
+      for (let stat of await this.manager._getStatNamesForIP(ip)) {
+        let quota = await this.manager.getActionQuota(ip, stat.actionName, stat.scope);
+        remaining.push([{ip: ip, action: stat.actionName, scope: stat.scope || ''}, quota.remaining]);
+      }
+    }
+
+    this._addMetric(lines, 'action_quota_remaining', 'gauge', 'Actions left under every rule per exit IP in use (and scope of scoped actions)',
+      remaining);
+
+    this._addLatencyHistogram(lines);
+
+    this._addMetric(lines, 'poll_failures_total', 'counter', 'Failed tries of poller IP checks',
+      Object.keys(this.pollFailures).map(circuit => [{circuit: circuit}, this.pollFailures[circuit]]));
+
+    this._addMetric(lines, 'tor_restarts_total', 'counter', 'Local tor restarts',
+      Object.keys(this.torRestarts).map(circuit => [{circuit: circuit}, this.torRestarts[circuit]]));
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serve GET /metrics over http
+   * @return {http.Server}
+   */
+  async listen ({port=9464, host='127.0.0.1'}={}) {
+    this.server = http.createServer((req, res) => {
+      if (req.method != 'GET' || req.url.split('?')[0] != '/metrics') {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      this.getMetricsText().then((text) => {
+        res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+        res.end(text);
+      }).catch((err) => {
+        WARN(`[-] ${this.constructor.name} - failed to collect metrics: ${err}`);
+        res.writeHead(500);
+        res.end();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    INFO(`[+] ${this.constructor.name} - serving metrics on http://${host}:${this.server.address().port}/metrics`);
+    return this.server;
+  }
+
+  // Stop listening and stop counting manager events
+  async close () {
+    for (let eventName in this._listeners) {
+      this.manager.removeListener(eventName, this._listeners[eventName]);
+    }
+
+    if (this.server) {
+      await new Promise((resolve, reject) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  _inc (hash, key) {
+    hash[key] = (hash[key] || 0) + 1;
+  }
+
+  _observeLatency (circuit, seconds) {
+    let h = this.pollLatency[circuit] = this.pollLatency[circuit] || {buckets: this.latencyBuckets.map(() => 0), sum: 0, count: 0};
+
+    this.latencyBuckets.forEach((le, i) => {
+      if (seconds <= le) {
+        h.buckets[i]++;
+      }
+    });
+
+    h.sum += seconds;
+    h.count++;
+  }
+
+  _addLatencyHistogram (lines) {
+    let name = `${this.prefix}poll_latency_seconds`;
+    lines.push(`# HELP ${name} Poller IP check latency, retries included`);
+    lines.push(`# TYPE ${name} histogram`);
+
+    for (let circuit in this.pollLatency) {
+      let h = this.pollLatency[circuit];
+
+      this.latencyBuckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${this._labels({circuit: circuit, le: String(le)})} ${h.buckets[i]}`);
+      });
+
+      lines.push(`${name}_bucket${this._labels({circuit: circuit, le: '+Inf'})} ${h.count}`);
+      lines.push(`${name}_sum${this._labels({circuit: circuit})} ${h.sum}`);
+      lines.push(`${name}_count${this._labels({circuit: circuit})} ${h.count}`);
+    }
+  }
+
+  // samples: [[labels, value], ...]
+  _addMetric (lines, name, type, help, samples) {
+    lines.push(`# HELP ${this.prefix}${name} ${help}`);
+    lines.push(`# TYPE ${this.prefix}${name} ${type}`);
+
+    for (let [labels, value] of samples) {
+      lines.push(`${this.prefix}${name}${this._labels(labels)} ${value}`);
+    }
+  }
+
+  _labels (labels) {
+    let pairs = Object.keys(labels).map(key => {
+      let value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${value}"`;
+    });
+
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  }
+};
+
+
+
+module.exports = ProxyRateMetrics;
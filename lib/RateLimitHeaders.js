@@ -0,0 +1,79 @@
+"use strict";
+
+
+/**
+ * RateLimitHeaders
+ * Reads what a target says about its own rate limits from response headers:
+ *   Retry-After                            - seconds, or an HTTP-date
+ *   X-RateLimit-Remaining / -Reset         - also RateLimit-* and X-Rate-Limit-*. Reset is epoch seconds
+ *                                            (or ms) when it looks like a timestamp, seconds from now otherwise
+ *
+ * let {retryAt, remaining, resetAt} = RateLimitHeaders.parse(response.headers);
+ */
+class RateLimitHeaders {
+  /**
+   * @param {Object} headers - lowercase header names, as node gives them
+   * @param {Number} now - ms timestamp the response arrived
+   * @return {Object} {retryAt, remaining, resetAt}. ms timestamps and a count, each null if not sent
+   */
+  static parse (headers={}, now=new Date().getTime()) {
+    let remaining = RateLimitHeaders._first(headers, ['x-ratelimit-remaining', 'ratelimit-remaining', 'x-rate-limit-remaining']);
+    let reset = RateLimitHeaders._first(headers, ['x-ratelimit-reset', 'ratelimit-reset', 'x-rate-limit-reset']);
+
+    remaining = (remaining == null) ? NaN : parseInt(remaining);
+
+    return {
+      retryAt: RateLimitHeaders.parseRetryAfter(headers['retry-after'], now),
+      remaining: isNaN(remaining) ? null : Math.max(0, remaining),
+      resetAt: RateLimitHeaders.parseReset(reset, now),
+    };
+  }
+
+  // Retry-After as a ms timestamp. null if missing or unreadable
+  static parseRetryAfter (value, now=new Date().getTime()) {
+    if (value == null || value === '') {
+      return null;
+    }
+
+    value = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return now + Math.round(parseFloat(value) * 1000);
+    }
+
+    let date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date, now);
+  }
+
+  // X-RateLimit-Reset as a ms timestamp. null if missing or unreadable
+  static parseReset (value, now=new Date().getTime()) {
+    let number = parseFloat(value);
+
+    if (value == null || isNaN(number)) {
+      return null;
+    } else if (number > 1e12) {
+      return Math.round(number); // epoch ms
+    } else if (number > 1e9) {
+      return Math.round(number * 1000); // epoch seconds
+    }
+
+    return now + Math.round(number * 1000); // seconds from now
+  }
+
+  // first of names that is set. multiple values (several policies) give the first
+  static _first (headers, names) {
+    for (let name of names) {
+      let value = headers[name];
+
+      if (value != null && value !== '') {
+        return String(Array.isArray(value) ? value[0] : value).split(',')[0].trim();
+      }
+    }
+
+    return null;
+  }
+};
+
+
+
+module.exports = RateLimitHeaders;
@@ -0,0 +1,262 @@
+"use strict";
+
+
+const SECOND = 1000,
+  MINUTE = 60 * SECOND,
+  HOUR = 60 * MINUTE,
+  DAY = 24 * HOUR,
+  WEEK = 7 * DAY;
+
+
+/**
+ * RateLimitRule
+ * One limit an action must stay under on each IP. An action can have several (10/second AND 5000/day)
+ * and a slot is free only when every rule has one. Types:
+ *   rolling     - {limit, window}: at most limit actions in any window ms (what timeForRateReset gives)
+ *   fixed       - {limit, period, utcOffset}: at most limit actions per calendar period, which resets on its
+ *                 boundary. period is "second", "minute", "hour", "day", "week" (from Monday), "month" or ms
+ *                 from the epoch. utcOffset (minutes) moves the boundaries off UTC
+ *   tokenBucket - {capacity, refillRate}: bursts of capacity, refilled at refillRate tokens per second
+ *                 (or one per refillInterval ms). Worked out from the recorded actions, nothing extra is stored
+ *
+ * RateLimitRule.from({type: "fixed", limit: 5000, period: "day"});
+ *
+ * Rules work off the action's timestamps on one IP (oldest first), as read from the store:
+ *   evaluate(timestamps, now) => {limit, count, remaining, availableAt, isOverLimit}
+ * availableAt is when the rule next has a slot if no more actions are taken (now if it has one).
+ * isOverLimit means more actions were recorded than the rule allows (two processes took the last slot).
+ */
+class RateLimitRule {
+  constructor (args={}) {
+    this.type = args.type;
+    this.name = args.name || null;
+  }
+
+  // Accepts rules or {type, ...} objects. type defaults to rolling
+  static from (rule) {
+    if (rule instanceof RateLimitRule) {
+      return rule;
+    }
+
+    let type = rule.type || "rolling";
+    let RuleClass = RateLimitRule.types[type];
+
+    if (!RuleClass) {
+      throw new Error(`RateLimitRule - unknown type "${type}". Options: ${Object.keys(RateLimitRule.types).join(', ')}`);
+    }
+
+    return new RuleClass(Object.assign({}, rule, {type: type}));
+  }
+
+  // Oldest timestamp evaluate needs at now
+  getSince (now) {
+    return now - this.getRetention();
+  }
+
+  // Most actions the rule ever allows at once
+  getLimit () {
+    return this.limit;
+  }
+
+  // ms of history the rule can look back over. older timestamps can be pruned
+  getRetention () {
+    throw new Error(`${this.constructor.name}.getRetention not implemented`);
+  }
+
+  evaluate (timestamps, now) {
+    throw new Error(`${this.constructor.name}.evaluate not implemented`);
+  }
+
+  // Plain description for logs, the admin API and errors
+  describe () {
+    return {type: this.type, name: this.name};
+  }
+
+  static _checkPositive (value, field, type) {
+    if (!(value > 0)) {
+      throw new Error(`RateLimitRule [${type}] - ${field} must be a positive number, got ${value}`);
+    }
+  }
+};
+
+
+class RollingWindowRule extends RateLimitRule {
+  constructor (args={}) {
+    super(args);
+
+    this.limit = args.limit;
+    this.window = args.window;
+
+    RateLimitRule._checkPositive(this.limit, "limit", this.type);
+    RateLimitRule._checkPositive(this.window, "window", this.type);
+  }
+
+  getRetention () {
+    return this.window;
+  }
+
+  evaluate (timestamps, now) {
+    let inWindow = timestamps.filter(t => t > now - this.window);
+    let count = inWindow.length;
+
+    return {
+      limit: this.limit,
+      count: count,
+      remaining: Math.max(0, this.limit - count),
+      isOverLimit: count > this.limit,
+      // the oldest (count - limit + 1) actions have to leave the window first
+      availableAt: (count < this.limit) ? now : inWindow[count - this.limit] + this.window,
+    };
+  }
+
+  describe () {
+    return Object.assign(super.describe(), {limit: this.limit, window: this.window});
+  }
+};
+
+
+class FixedWindowRule extends RateLimitRule {
+  constructor (args={}) {
+    super(args);
+
+    this.limit = args.limit;
+    this.period = args.period || "day";
+    this.utcOffset = args.utcOffset || 0;
+
+    RateLimitRule._checkPositive(this.limit, "limit", this.type);
+
+    if (typeof(this.period) == "number") {
+      RateLimitRule._checkPositive(this.period, "period", this.type);
+    } else if (!(this.period in FixedWindowRule.periods)) {
+      throw new Error(`RateLimitRule [fixed] - unknown period "${this.period}". Options: ${Object.keys(FixedWindowRule.periods).join(', ')} or ms`);
+    }
+  }
+
+  getSince (now) {
+    return this.getWindow(now).start;
+  }
+
+  getRetention () {
+    return (this.period == "month") ? 31 * DAY : this.getPeriodLength();
+  }
+
+  getPeriodLength () {
+    return (typeof(this.period) == "number") ? this.period : FixedWindowRule.periods[this.period];
+  }
+
+  // {start, end} ms timestamps of the calendar period now falls in
+  getWindow (now) {
+    let offset = this.utcOffset * MINUTE;
+    let local = now + offset; // boundaries are worked out in the offset's wall clock time
+
+    if (this.period == "month") {
+      let date = new Date(local);
+      return {
+        start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) - offset,
+        end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - offset,
+      };
+    }
+
+    let length = this.getPeriodLength();
+    let anchor = (this.period == "week") ? 4 * DAY : 0; // the epoch was a Thursday. weeks start Monday
+    let start = Math.floor((local - anchor) / length) * length + anchor - offset;
+
+    return {start: start, end: start + length};
+  }
+
+  evaluate (timestamps, now) {
+    let window = this.getWindow(now);
+    let count = timestamps.filter(t => t >= window.start && t < window.end).length;
+
+    return {
+      limit: this.limit,
+      count: count,
+      remaining: Math.max(0, this.limit - count),
+      isOverLimit: count > this.limit,
+      availableAt: (count < this.limit) ? now : window.end,
+      resetAt: window.end,
+    };
+  }
+
+  describe () {
+    return Object.assign(super.describe(), {limit: this.limit, period: this.period, utcOffset: this.utcOffset});
+  }
+};
+
+FixedWindowRule.periods = {second: SECOND, minute: MINUTE, hour: HOUR, day: DAY, week: WEEK, month: null};
+
+
+class TokenBucketRule extends RateLimitRule {
+  constructor (args={}) {
+    super(args);
+
+    this.capacity = args.capacity;
+    this.refillRate = args.refillRate || (args.refillInterval ? 1000 / args.refillInterval : null); // tokens per second
+
+    RateLimitRule._checkPositive(this.capacity, "capacity", this.type);
+    RateLimitRule._checkPositive(this.refillRate, "refillRate (or refillInterval)", this.type);
+  }
+
+  getLimit () {
+    return this.capacity;
+  }
+
+  // Long enough to see the bucket drained and refilled a few times. A bucket kept nearly empty for
+  // longer than this could be overestimated
+  getRetention () {
+    return Math.ceil(TokenBucketRule.REFILLS_REMEMBERED * this.capacity / this.refillRate * 1000);
+  }
+
+  /**
+   * The bucket was full before the first action. Since then its level is the lowest of
+   *   capacity + refill since t - (actions taken since t)
+   * over every action time t (and capacity itself), so each action is one line rising at refillRate.
+   * A token is free once every line has reached 1
+   */
+  evaluate (timestamps, now) {
+    let since = this.getSince(now);
+    let recent = timestamps.filter(t => t >= since && t <= now);
+    let perMs = this.refillRate / 1000;
+    let tokens = this.capacity;
+    let availableAt = now;
+
+    for (let i = 0; i < recent.length; i++) {
+      let taken = recent.length - i;
+      let level = this.capacity + (now - recent[i]) * perMs - taken;
+
+      tokens = Math.min(tokens, level);
+      availableAt = Math.max(availableAt, Math.ceil(recent[i] + (taken + 1 - this.capacity) / perMs));
+    }
+
+    return {
+      limit: this.capacity,
+      count: recent.length,
+      remaining: Math.max(0, Math.floor(tokens)),
+      isOverLimit: tokens < 0,
+      availableAt: availableAt,
+      tokens: Math.max(0, tokens),
+    };
+  }
+
+  describe () {
+    return Object.assign(super.describe(), {capacity: this.capacity, refillRate: this.refillRate});
+  }
+};
+
+TokenBucketRule.REFILLS_REMEMBERED = 4;
+
+
+RateLimitRule.types = {
+  rolling: RollingWindowRule,
+  fixed: FixedWindowRule,
+  tokenBucket: TokenBucketRule,
+};
+
+
+
+module.exports = {
+  RateLimitRule: RateLimitRule,
+  RollingWindowRule: RollingWindowRule,
+  FixedWindowRule: FixedWindowRule,
+  TokenBucketRule: TokenBucketRule,
+};
@@ -0,0 +1,406 @@
+"use strict";
+
+const crypto = require('crypto'),
+  net = require('net'),
+  fs = require('fs');
+
+
+/**
+ * TorControlClient
+ * Minimal client for tor's ControlPort protocol (https://spec.torproject.org/control-spec)
+ * Used to request new circuits with SIGNAL NEWNYM and read exit node details back
+ *
+ * Each operation opens its own connection, authenticates, runs its commands and closes.
+ */
+class TorControlClient {
+  constructor (args={}) {
+    this.host = args.host || '127.0.0.1';
+    this.port = args.port || 9051;
+    this.password = args.password || null; // HashedControlPassword auth
+    this.cookieFile = args.cookieFile || null; // CookieAuthentication auth (SAFECOOKIE, else COOKIE). Read from PROTOCOLINFO if not given
+
+    this.connectTimeout = args.connectTimeout || 1000 * 5;
+    this.commandTimeout = args.commandTimeout || 1000 * 10;
+
+    // tor refuses to build fresh circuits more than once per 10 seconds
+    this.newnymInterval = args.newnymInterval || 1000 * 10;
+    this.lastNewnymTime = 0;
+    this.noticeWaitTime = args.noticeWaitTime || 250; // ms to listen for a NEWNYM rate limit notice
+  }
+
+  getIdentifier () {
+    return `${this.host}:${this.port}`;
+  }
+
+  /**
+   * Ask tor for clean new circuits. Waits out tor's NEWNYM rate limit if it reports one
+   * @return {Number} ms waited for tor's rate limit
+   */
+  async signalNewnym () {
+    // Don't bother tor if we know it will only delay us
+    let msUntilAllowed = this.lastNewnymTime + this.newnymInterval - new Date().getTime();
+    if (msUntilAllowed > 0) {
+      DEBUG(`[D] ${this.constructor.name}.signalNewnym [${this.getIdentifier()}] - waiting ${msUntilAllowed}ms for NEWNYM rate limit`);
+      await new Promise((resolve, reject) => setTimeout(resolve, msUntilAllowed));
+    }
+
+    let delaySeconds = await this._withConnection(async (conn) => {
+      let notices = [];
+      conn.onEvent = (line) => notices.push(line);
+
+      await conn.send('SETEVENTS NOTICE');
+      await conn.send('SIGNAL NEWNYM');
+
+      // tor answers "250 OK" even when rate limited; the delay arrives as a NOTICE event
+      await new Promise((resolve, reject) => setTimeout(resolve, this.noticeWaitTime));
+
+      return TorControlClient.parseNewnymDelay(notices);
+    });
+
+    this.lastNewnymTime = new Date().getTime();
+
+    if (delaySeconds > 0) {
+      INFO(`[-] ${this.constructor.name}.signalNewnym [${this.getIdentifier()}] - tor rate limited NEWNYM. Waiting ${delaySeconds}s`);
+      await new Promise((resolve, reject) => setTimeout(resolve, delaySeconds * 1000));
+      this.lastNewnymTime = new Date().getTime();
+    }
+
+    return delaySeconds * 1000;
+  }
+
+  /**
+   * Tor's bootstrap percentage (100 once it can build circuits)
+   * @return {Number}
+   */
+  async getBootstrapProgress () {
+    let lines = await this._withConnection(conn => conn.getInfo('status/bootstrap-phase'));
+    let m = lines.join(' ').match(/PROGRESS=(\d+)/);
+    return m ? parseInt(m[1]) : 0;
+  }
+
+  /**
+   * Read tor's circuits
+   * @return {Array of Objects} [{id, status, path: [{fingerprint, nickname}], purpose}]
+   */
+  async getCircuits () {
+    let lines = await this._withConnection(conn => conn.getInfo('circuit-status'));
+    return TorControlClient.parseCircuitStatus(lines);
+  }
+
+  /**
+   * Exit relays of tor's built general purpose circuits, with their IP from the consensus
+   * @return {Array of Objects} [{circuitId, fingerprint, nickname, ip}]
+   */
+  async getExitNodes () {
+    return await this._withConnection(async (conn) => {
+      let circuits = TorControlClient.parseCircuitStatus(await conn.getInfo('circuit-status'))
+        .filter(c => c.status == 'BUILT' && c.path.length && (!c.purpose || c.purpose == 'GENERAL'));
+
+      let exitNodes = [];
+
+      for (let c of circuits) {
+        let exit = c.path[c.path.length - 1];
+        let ip = null;
+
+        try {
+          ip = TorControlClient.parseRouterStatusIP(await conn.getInfo(`ns/id/${exit.fingerprint}`));
+        } catch (err) {
+          DEBUG(`[D] ${this.constructor.name}.getExitNodes - no consensus entry for ${exit.fingerprint}: ${err.message}`);
+        }
+
+        exitNodes.push({circuitId: c.id, fingerprint: exit.fingerprint, nickname: exit.nickname, ip: ip});
+      }
+
+      return exitNodes;
+    });
+  }
+
+  // Connect, authenticate, run fn(conn) and always close afterwards
+  async _withConnection (fn) {
+    let conn = await TorControlConnection.connect(this.host, this.port, this.connectTimeout, this.commandTimeout);
+
+    try {
+      await this._authenticate(conn);
+      return await fn(conn);
+    } finally {
+      conn.close();
+    }
+  }
+
+  async _authenticate (conn) {
+    if (this.password != null) {
+      return await conn.send(`AUTHENTICATE ${TorControlClient.quote(this.password)}`);
+    }
+
+    let info = TorControlClient.parseProtocolInfo(await conn.send('PROTOCOLINFO 1'));
+
+    if (info.methods.indexOf('NULL') != -1) {
+      return await conn.send('AUTHENTICATE');
+    } else if (info.methods.indexOf('SAFECOOKIE') != -1) {
+      return await this._authenticateSafeCookie(conn, await this._readCookie(info));
+    } else if (info.methods.indexOf('COOKIE') != -1) {
+      return await conn.send(`AUTHENTICATE ${(await this._readCookie(info)).toString('hex')}`);
+    }
+
+    throw new Error(`${this.constructor.name} - no usable auth method for ${this.getIdentifier()}. Tor offers: ${info.methods.join(',')}`);
+  }
+
+  async _readCookie (info) {
+    return await new Promise((resolve, reject) => {
+      fs.readFile(this.cookieFile || info.cookieFile, (err, data) => err ? reject(err) : resolve(data));
+    });
+  }
+
+  // AUTHCHALLENGE exchange. Both sides prove they know the cookie without sending it
+  async _authenticateSafeCookie (conn, cookie) {
+    let clientNonce = crypto.randomBytes(32);
+    let reply = (await conn.send(`AUTHCHALLENGE SAFECOOKIE ${clientNonce.toString('hex')}`)).join(' ');
+    let m = reply.match(/SERVERHASH=([0-9A-Fa-f]+) SERVERNONCE=([0-9A-Fa-f]+)/);
+
+    if (!m) {
+      throw new Error(`${this.constructor.name} - unexpected AUTHCHALLENGE reply from ${this.getIdentifier()}: ${reply}`);
+    }
+
+    let message = Buffer.concat([cookie, clientNonce, Buffer.from(m[2], 'hex')]);
+    let serverHash = TorControlClient.safeCookieHash(TorControlClient.SAFECOOKIE_SERVER_KEY, message);
+
+    // a server that can't compute it doesn't know the cookie
+    if (m[1].toLowerCase() != serverHash.toString('hex')) {
+      throw new Error(`${this.constructor.name} - ${this.getIdentifier()} sent a wrong SAFECOOKIE server hash. Is it tor, with the cookie in ${this.cookieFile || 'its COOKIEFILE'}?`);
+    }
+
+    let clientHash = TorControlClient.safeCookieHash(TorControlClient.SAFECOOKIE_CLIENT_KEY, message);
+    return await conn.send(`AUTHENTICATE ${clientHash.toString('hex')}`);
+  }
+
+  static safeCookieHash (key, message) {
+    return crypto.createHmac('sha256', key).update(message).digest();
+  }
+
+  static quote (str) {
+    return '"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  }
+
+  static parseProtocolInfo (lines) {
+    let info = {methods: [], cookieFile: null};
+
+    for (let line of lines) {
+      let m = line.match(/^AUTH METHODS=(\S+)(?: COOKIEFILE="((?:[^"\\]|\\.)*)")?/);
+      if (m) {
+        info.methods = m[1].split(',');
+        info.cookieFile = m[2] ? m[2].replace(/\\(.)/g, '$1') : null;
+      }
+    }
+
+    return info;
+  }
+
+  // ex: "Rate limiting NEWNYM request: delaying by 8 second(s)"
+  static parseNewnymDelay (noticeLines) {
+    for (let line of noticeLines) {
+      let m = line.match(/Rate limiting NEWNYM request: delaying by (\d+) second/);
+      if (m) {
+        return parseInt(m[1]);
+      }
+    }
+
+    return 0;
+  }
+
+  // ex: "7 BUILT $AAAA~relayA,$BBBB~relayB,$CCCC~relayC BUILD_FLAGS=NEED_CAPACITY PURPOSE=GENERAL ..."
+  static parseCircuitStatus (lines) {
+    let circuits = [];
+
+    for (let line of lines) {
+      let parts = line.replace(/^circuit-status=/, '').trim().split(' ');
+      if (parts.length < 2 || !parts[0]) {
+        continue;
+      }
+
+      let circuit = {id: parts[0], status: parts[1], path: [], purpose: null};
+      let rest = parts.slice(2);
+
+      if (rest.length && rest[0].indexOf('=') == -1) {
+        circuit.path = rest.shift().split(',').map(hop => {
+          let [fingerprint, nickname] = hop.replace(/^\$/, '').split(/[~=]/);
+          return {fingerprint: fingerprint, nickname: nickname || null};
+        });
+      }
+
+      for (let kv of rest) {
+        if (kv.indexOf('PURPOSE=') == 0) {
+          circuit.purpose = kv.substr('PURPOSE='.length);
+        }
+      }
+
+      circuits.push(circuit);
+    }
+
+    return circuits;
+  }
+
+  // ex: "r nickname identity digest 2018-12-13 12:00:00 1.2.3.4 9001 0"
+  static parseRouterStatusIP (lines) {
+    for (let line of lines) {
+      let parts = line.replace(/^ns\/id\/\S+=/, '').trim().split(' ');
+      if (parts[0] == 'r' && parts.length >= 7) {
+        return parts[6];
+      }
+    }
+
+    return null;
+  }
+};
+
+TorControlClient.SAFECOOKIE_SERVER_KEY = 'Tor safe cookie authentication server-to-controller hash';
+TorControlClient.SAFECOOKIE_CLIENT_KEY = 'Tor safe cookie authentication controller-to-server hash';
+
+
+/**
+ * TorControlConnection
+ * One authenticated socket to the ControlPort. Commands are sent one at a time
+ */
+class TorControlConnection {
+  constructor (socket, commandTimeout) {
+    this.socket = socket;
+    this.commandTimeout = commandTimeout;
+    this.buffer = '';
+    this.replyLines = [];
+    this.dataBlock = null; // lines of a "250+key=" data reply until the lone "."
+    this.pending = null; // {resolve, reject, timeoutFD} for the command in flight
+    this.onEvent = null; // called with the text of asynchronous "650" event lines
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('error', (err) => this._rejectPending(err));
+    socket.on('close', () => this._rejectPending(new Error(`TorControlConnection - connection closed`)));
+  }
+
+  static async connect (host, port, connectTimeout, commandTimeout) {
+    return await new Promise((resolve, reject) => {
+      let socket = net.connect({host: host, port: port});
+
+      let timeoutFD = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`TorControlConnection - timed out connecting to ${host}:${port}`));
+      }, connectTimeout);
+
+      socket.once('error', (err) => {
+        clearTimeout(timeoutFD);
+        reject(err);
+      });
+
+      socket.once('connect', () => {
+        clearTimeout(timeoutFD);
+        socket.removeAllListeners('error');
+        resolve(new TorControlConnection(socket, commandTimeout));
+      });
+    });
+  }
+
+  /**
+   * Send a command and resolve with its reply lines (status codes stripped)
+   * Rejects if tor answers with anything but 250
+   */
+  async send (command) {
+    if (this.pending) {
+      throw new Error(`TorControlConnection.send - command already in flight, can't send: ${command}`);
+    }
+
+    return await new Promise((resolve, reject) => {
+      let timeoutFD = setTimeout(() => {
+        this._rejectPending(new Error(`TorControlConnection.send - timed out waiting for reply to: ${command.split(' ')[0]}`));
+      }, this.commandTimeout);
+
+      this.pending = {resolve: resolve, reject: reject, timeoutFD: timeoutFD};
+      this.socket.write(command + '\r\n');
+    });
+  }
+
+  async getInfo (key) {
+    return await this.send(`GETINFO ${key}`);
+  }
+
+  close () {
+    if (!this.socket.destroyed) {
+      this.socket.end('QUIT\r\n');
+      this.socket.destroy();
+    }
+  }
+
+  _onData (chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) != -1) {
+      let line = this.buffer.substr(0, index);
+      this.buffer = this.buffer.substr(index + 2);
+      this._onLine(line);
+    }
+  }
+
+  _onLine (line) {
+    // Inside a data block. It ends with a lone "."
+    if (this.dataBlock) {
+      if (line == '.') {
+        this.replyLines.push(this.dataBlock.join('\n'));
+        this.dataBlock = null;
+      } else {
+        this.dataBlock.push(line.replace(/^\.\./, '.'));
+      }
+      return;
+    }
+
+    let code = line.substr(0, 3);
+    let separator = line.charAt(3);
+    let text = line.substr(4);
+
+    if (code == '650') {
+      if (separator == ' ' && typeof(this.onEvent) == "function") {
+        this.onEvent(text);
+      }
+      return;
+    }
+
+    if (separator == '+') {
+      this.dataBlock = [text]; // "circuit-status=" then one circuit per line
+    } else {
+      this.replyLines.push(text);
+    }
+
+    if (separator == ' ') {
+      let lines = this.replyLines;
+      this.replyLines = [];
+
+      if (code == '250') {
+        this._resolvePending(lines);
+      } else {
+        this._rejectPending(new Error(`TorControlConnection - tor replied ${code} ${text}`));
+      }
+    }
+  }
+
+  _resolvePending (lines) {
+    let pending = this.pending;
+    this.pending = null;
+
+    if (pending) {
+      clearTimeout(pending.timeoutFD);
+      pending.resolve(lines.reduce((arr, l) => arr.concat(l.split('\n')), []).filter(l => l != 'OK'));
+    }
+  }
+
+  _rejectPending (err) {
+    let pending = this.pending;
+    this.pending = null;
+
+    if (pending) {
+      clearTimeout(pending.timeoutFD);
+      pending.reject(err);
+    }
+  }
+};
+
+
+
+module.exports = TorControlClient;
@@ -0,0 +1,80 @@
+"use strict";
+
+const fs = require('fs'),
+  MemoryRateStatStore = require('./MemoryRateStatStore');
+
+
+/**
+ * FileRateStatStore
+ * In memory store persisted to a JSON file ({stats, bans}). Writes go to a temp file that is
+ * renamed over the cache so a crash mid-write never leaves a truncated cache.
+ * Only one process should use a given file.
+ */
+class FileRateStatStore extends MemoryRateStatStore {
+  constructor (args={}) {
+    super(args);
+
+    this.filename = args.filename;
+    this.flushChain = Promise.resolve(); // flushes share the temp file, so they run one at a time
+
+    if (!this.filename) {
+      throw new Error(`${this.constructor.name} - filename must be provided`);
+    }
+  }
+
+  async init () {
+    let json = await new Promise((resolve, reject) => {
+      fs.readFile(this.filename, 'utf8', (err, data) => {
+        if (err && err.code != 'ENOENT') {
+          return reject(err);
+        }
+
+        return resolve(data || null);
+      });
+    });
+
+    if (json) {
+      let cache = JSON.parse(json);
+      let isStatsOnly = !(cache.stats && cache.bans); // written before bans were stored
+
+      this.data = isStatsOnly ? cache : cache.stats;
+      this.bans = isStatsOnly ? {} : cache.bans;
+    }
+  }
+
+  // Bans are rare and should survive a crash, so they are written out right away
+  async addBan (ban) {
+    await super.addBan(ban);
+    await this.flush();
+  }
+
+  async removeBan (ban) {
+    await super.removeBan(ban);
+    await this.flush();
+  }
+
+  flush () {
+    let result = this.flushChain.then(() => this._flush());
+    this.flushChain = result.catch(() => {});
+    return result;
+  }
+
+  async _flush () {
+    let tmpFilename = `${this.filename}.${process.pid}.tmp`;
+    await this.getBans(); // drops expired ones
+
+    let err = await new Promise((resolve, reject) => {
+      fs.writeFile(tmpFilename, JSON.stringify({stats: this.data, bans: this._getBans()}), (err) => {
+        return err ? resolve(err) : fs.rename(tmpFilename, this.filename, resolve);
+      });
+    });
+
+    if (err) {
+      throw err;
+    }
+  }
+};
+
+
+
+module.exports = FileRateStatStore;
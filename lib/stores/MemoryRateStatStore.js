@@ -0,0 +1,105 @@
+"use strict";
+
+const RateStatStore = require('./RateStatStore');
+
+
+/**
+ * MemoryRateStatStore
+ * Keeps timestamps (and bans) in this process only. Data is a hash with many keys each in format:
+ * "<ip address>": {
+ *  actionName1: [], // sorted array of ms timestamps of initiations for requests
+ *  actionName2: [],
+ * }
+ */
+class MemoryRateStatStore extends RateStatStore {
+  constructor (args={}) {
+    super(args);
+
+    this.data = args.data || {};
+  }
+
+  async record (ip, actionName, timestamp) {
+    let timestamps = this._getArray(ip, actionName, true);
+
+    // Keep sorted. Timestamps nearly always arrive in order so this is usually a push
+    let i = timestamps.length;
+    while (i > 0 && timestamps[i - 1] > timestamp) {
+      i--;
+    }
+
+    timestamps.splice(i, 0, timestamp);
+    return timestamp; // equal timestamps are interchangeable, so the timestamp is the id
+  }
+
+  async remove (ip, actionName, id) {
+    let timestamps = this._getArray(ip, actionName);
+    let i = this._indexOfFirstAtOrAfter(timestamps, id);
+
+    if (timestamps[i] === id) {
+      timestamps.splice(i, 1);
+    }
+  }
+
+  async count (ip, actionName, since=0) {
+    let timestamps = this._getArray(ip, actionName);
+    return timestamps.length - this._indexOfFirstAtOrAfter(timestamps, since);
+  }
+
+  async getTimestamps (ip, actionName, since=0) {
+    let timestamps = this._getArray(ip, actionName);
+    return timestamps.slice(this._indexOfFirstAtOrAfter(timestamps, since));
+  }
+
+  async prune (ip, actionName, olderThan) {
+    let timestamps = this._getArray(ip, actionName);
+    let numOld = this._indexOfFirstAtOrAfter(timestamps, olderThan);
+
+    timestamps.splice(0, numOld); // remove oldest requests
+    return numOld;
+  }
+
+  async getIPs () {
+    return Object.keys(this.data);
+  }
+
+  async getActionNames (ip) {
+    return Object.keys(this.data[ip] || {});
+  }
+
+  async deleteIP (ip) {
+    delete this.data[ip];
+  }
+
+  _getArray (ip, actionName, create=false) {
+    if (!this.data[ip] || !this.data[ip][actionName]) {
+      if (!create) {
+        return [];
+      }
+
+      this.data[ip] = this.data[ip] || {};
+      this.data[ip][actionName] = [];
+    }
+
+    return this.data[ip][actionName];
+  }
+
+  // binary search on the sorted timestamps
+  _indexOfFirstAtOrAfter (timestamps, since) {
+    let lo = 0, hi = timestamps.length;
+
+    while (lo < hi) {
+      let mid = (lo + hi) >> 1;
+      if (timestamps[mid] < since) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  }
+};
+
+
+
+module.exports = MemoryRateStatStore;
@@ -0,0 +1,110 @@
+"use strict";
+
+
+/**
+ * RateStatStore
+ * Interface for storing the timestamps of rate limited actions per exit IP.
+ * Backends that several processes share let every process count every other
+ * process's actions toward the same per-IP limits.
+ *
+ * All methods are async. Timestamps are ms since epoch.
+ */
+class RateStatStore {
+  // Open connections / load data. Called once by ProxyRateManager.initWithCircuits
+  async init () {}
+
+  /**
+   * Record one action taken through an exit IP
+   * @param {String} ip
+   * @param {String} actionName
+   * @param {Number} timestamp
+   * @return {*} id of this record, to pass to remove()
+   */
+  async record (ip, actionName, timestamp) { this._notImplemented('record'); }
+
+  /**
+   * Remove one record made with record(). Used to give back reserved slots
+   * @param {*} id - as returned by record()
+   */
+  async remove (ip, actionName, id) { this._notImplemented('remove'); }
+
+  /**
+   * Number of actions through an IP at or after {since}
+   * @return {Number}
+   */
+  async count (ip, actionName, since=0) { this._notImplemented('count'); }
+
+  /**
+   * Timestamps of actions through an IP at or after {since}, oldest first
+   * @return {Array of Numbers}
+   */
+  async getTimestamps (ip, actionName, since=0) { this._notImplemented('getTimestamps'); }
+
+  /**
+   * Remove timestamps older than {olderThan} for an IP/action
+   * @return {Number} how many were removed
+   */
+  async prune (ip, actionName, olderThan) { this._notImplemented('prune'); }
+
+  // @return {Array of Strings} every IP with stored data
+  async getIPs () { this._notImplemented('getIPs'); }
+
+  // @return {Array of Strings} every actionName with stored data for an IP (scoped ones as "<action>@<scope>")
+  async getActionNames (ip) { this._notImplemented('getActionNames'); }
+
+  // Forget everything stored for an IP
+  async deleteIP (ip) { this._notImplemented('deleteIP'); }
+
+  /**
+   * Save a ban, replacing one with the same ip, target and actionName.
+   * Bans are kept in memory here. Persistent backends override the ban methods
+   * @param {Object} ban - {ip, target, actionName, until, reason}. null target/actionName means any
+   */
+  async addBan (ban) {
+    this._getBans()[this._banKey(ban)] = ban;
+  }
+
+  // Remove the ban with ban's ip, target and actionName
+  async removeBan (ban) {
+    delete this._getBans()[this._banKey(ban)];
+  }
+
+  // @return {Array of Objects} bans that haven't expired
+  async getBans () {
+    let bans = this._getBans();
+    let now = new Date().getTime();
+
+    for (let key in bans) {
+      if (bans[key].until <= now) {
+        delete bans[key];
+      }
+    }
+
+    return Object.keys(bans).map(key => bans[key]);
+  }
+
+  _getBans () {
+    this.bans = this.bans || {};
+    return this.bans;
+  }
+
+  _banKey (ban) {
+    return `${ban.ip}\n${ban.target || ''}\n${ban.actionName || ''}`;
+  }
+
+  // Persist anything buffered in memory
+  async flush () {}
+
+  // Flush and release connections / file handles
+  async close () {
+    await this.flush();
+  }
+
+  _notImplemented (method) {
+    throw new Error(`${this.constructor.name}.${method} - not implemented by this RateStatStore backend`);
+  }
+};
+
+
+
+module.exports = RateStatStore;
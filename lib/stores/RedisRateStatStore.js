@@ -0,0 +1,143 @@
+"use strict";
+
+const net = require('net'),
+  RateStatStore = require('./RateStatStore'),
+  RespClient = require('./RespClient');
+
+
+/**
+ * RedisRateStatStore
+ * Stores timestamps in a Redis (or Redis protocol compatible) server so
+ * processes on any number of machines share per-IP counts.
+ *
+ * Each IP/action is a sorted set of timestamps ("<prefix>stats:<ip>:<action>", IPv6 in brackets),
+ * "<prefix>actions:<ip>" is the set of action names recorded on the IP, "<prefix>ips" the set of IPs
+ * with data, and the hash "<prefix>bans" holds the bans as JSON.
+ */
+class RedisRateStatStore extends RateStatStore {
+  constructor (args={}) {
+    super(args);
+
+    this.keyPrefix = args.keyPrefix || 'proxyratemanager:';
+    this.client = args.client || new RespClient({
+      host: args.host,
+      port: args.port,
+      password: args.password,
+      db: args.db,
+    });
+
+    this._memberCounter = 0;
+  }
+
+  async init () {
+    await this.client.command('PING');
+  }
+
+  async record (ip, actionName, timestamp) {
+    let member = this._uniqueMember(timestamp);
+
+    await this.client.command('SADD', this._ipsKey(), ip);
+    await this.client.command('SADD', this._actionsKey(ip), actionName);
+    await this.client.command('ZADD', this._statsKey(ip, actionName), timestamp, member);
+
+    return member;
+  }
+
+  async remove (ip, actionName, id) {
+    await this.client.command('ZREM', this._statsKey(ip, actionName), id);
+  }
+
+  async count (ip, actionName, since=0) {
+    return await this.client.command('ZCOUNT', this._statsKey(ip, actionName), since, '+inf');
+  }
+
+  async getTimestamps (ip, actionName, since=0) {
+    let members = await this.client.command('ZRANGEBYSCORE', this._statsKey(ip, actionName), since, '+inf', 'WITHSCORES');
+    return members.filter((m, i) => i % 2 == 1).map(score => parseInt(score));
+  }
+
+  async prune (ip, actionName, olderThan) {
+    return await this.client.command('ZREMRANGEBYSCORE', this._statsKey(ip, actionName), '-inf', `(${olderThan}`);
+  }
+
+  async getIPs () {
+    return await this.client.command('SMEMBERS', this._ipsKey());
+  }
+
+  // names stay listed after their timestamps are pruned (count 0) until deleteIP
+  async getActionNames (ip) {
+    return await this.client.command('SMEMBERS', this._actionsKey(ip));
+  }
+
+  async deleteIP (ip) {
+    let keys = (await this.getActionNames(ip)).map(actionName => this._statsKey(ip, actionName));
+
+    await this.client.command('DEL', this._actionsKey(ip), ...keys);
+    await this.client.command('SREM', this._ipsKey(), ip);
+  }
+
+  async addBan (ban) {
+    await this.client.command('HSET', this._bansKey(), this._banKey(ban), JSON.stringify(ban));
+  }
+
+  async removeBan (ban) {
+    await this.client.command('HDEL', this._bansKey(), this._banKey(ban));
+  }
+
+  async getBans () {
+    let fields = await this.client.command('HGETALL', this._bansKey()); // [field, value, field, value...]
+    let now = new Date().getTime();
+    let bans = [];
+    let expired = [];
+
+    for (let i = 0; i < fields.length; i += 2) {
+      let ban = JSON.parse(fields[i + 1]);
+      if (ban.until > now) {
+        bans.push(ban);
+      } else {
+        expired.push(fields[i]);
+      }
+    }
+
+    if (expired.length) {
+      await this.client.command('HDEL', this._bansKey(), ...expired);
+    }
+
+    return bans;
+  }
+
+  async close () {
+    await this.client.quit();
+  }
+
+  _ipsKey () {
+    return `${this.keyPrefix}ips`;
+  }
+
+  _bansKey () {
+    return `${this.keyPrefix}bans`;
+  }
+
+  _statsKey (ip, actionName) {
+    return `${this.keyPrefix}stats:${this._ipKeyPart(ip)}:${actionName}`;
+  }
+
+  _actionsKey (ip) {
+    return `${this.keyPrefix}actions:${this._ipKeyPart(ip)}`;
+  }
+
+  // "stats:2001:db8::1:search" would also be action "1:search" of 2001:db8::
+  _ipKeyPart (ip) {
+    return net.isIPv6(ip) ? `[${ip}]` : ip;
+  }
+
+  // Sorted set members must be unique, so two actions in the same ms need different members
+  _uniqueMember (timestamp) {
+    this._memberCounter = (this._memberCounter + 1) % 1e9;
+    return `${timestamp}:${process.pid}:${this._memberCounter}:${Math.random().toString(36).substr(2, 6)}`;
+  }
+};
+
+
+
+module.exports = RedisRateStatStore;
@@ -0,0 +1,221 @@
+"use strict";
+
+const net = require('net');
+
+
+/**
+ * RespClient
+ * Minimal client for the Redis protocol (RESP2). Enough for RedisRateStatStore:
+ * send commands (pipelined, replies come back in order) and parse replies.
+ * Reconnects on the next command if the connection drops.
+ */
+class RespClient {
+  constructor (args={}) {
+    this.host = args.host || '127.0.0.1';
+    this.port = args.port || 6379;
+    this.password = args.password || null;
+    this.db = args.db || 0;
+    this.connectTimeout = args.connectTimeout || 1000 * 5;
+
+    this.socket = null;
+    this.connecting = null; // promise while connecting
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // {socket, resolve, reject} in the order commands were sent
+  }
+
+  getIdentifier () {
+    return `${this.host}:${this.port}/${this.db}`;
+  }
+
+  /**
+   * Send a command and resolve with its reply
+   * ex: await client.command('ZADD', key, score, member)
+   */
+  async command (...args) {
+    await this._connectIfNotConnected();
+    return await this._send(args);
+  }
+
+  async quit () {
+    let socket = this.socket; // _onClose nulls this.socket if the server hangs up first
+
+    if (socket) {
+      await this._send(['QUIT']).catch(() => {});
+      socket.destroy();
+
+      if (this.socket == socket) {
+        this.socket = null;
+      }
+    }
+  }
+
+  _send (args, socket=this.socket) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({socket: socket, resolve: resolve, reject: reject});
+      socket.write(RespClient.encode(args));
+    });
+  }
+
+  async _connectIfNotConnected () {
+    if (this.socket) {
+      return;
+    } else if (this.connecting) {
+      return await this.connecting;
+    }
+
+    this.connecting = this._connect();
+
+    try {
+      await this.connecting;
+    } finally {
+      this.connecting = null;
+    }
+  }
+
+  async _connect () {
+    let socket = await new Promise((resolve, reject) => {
+      let socket = net.connect({host: this.host, port: this.port});
+
+      let timeoutFD = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`${this.constructor.name} - timed out connecting to ${this.getIdentifier()}`));
+      }, this.connectTimeout);
+
+      socket.once('error', (err) => {
+        clearTimeout(timeoutFD);
+        reject(err);
+      });
+
+      socket.once('connect', () => {
+        clearTimeout(timeoutFD);
+        socket.removeAllListeners('error');
+        resolve(socket);
+      });
+    });
+
+    socket.on('data', (chunk) => this._onData(socket, chunk));
+    socket.on('error', (err) => this._onClose(socket, err));
+    socket.on('close', () => this._onClose(socket, new Error(`${this.constructor.name} - connection to ${this.getIdentifier()} closed`)));
+
+    this.buffer = Buffer.alloc(0);
+
+    // commands only go through once AUTH and SELECT did. a failed login must not leave the socket for the next command
+    try {
+      if (this.password != null) {
+        await this._send(['AUTH', this.password], socket);
+      }
+
+      if (this.db) {
+        await this._send(['SELECT', this.db], socket);
+      }
+    } catch (err) {
+      this._onClose(socket, err);
+      throw err;
+    }
+
+    this.socket = socket;
+  }
+
+  // Rejects the commands sent on socket. Called again by its 'close' after an error, with nothing left to reject
+  _onClose (socket, err) {
+    socket.destroy();
+
+    if (this.socket == socket) {
+      this.socket = null;
+    }
+
+    let pending = this.pending.filter(p => p.socket == socket);
+    this.pending = this.pending.filter(p => p.socket != socket);
+    pending.forEach(p => p.reject(err));
+  }
+
+  _onData (socket, chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let parsed;
+    try {
+      while ((parsed = RespClient.parse(this.buffer, 0)) != null) {
+        this.buffer = this.buffer.slice(parsed.offset);
+
+        let pending = this.pending.shift();
+        if (!pending) {
+          continue;
+        }
+
+        if (parsed.value instanceof Error) {
+          pending.reject(parsed.value);
+        } else {
+          pending.resolve(parsed.value);
+        }
+      }
+    } catch (err) {
+      // replies can't be matched to commands past one that doesn't parse. drop the connection, the next command reconnects
+      this.buffer = Buffer.alloc(0);
+      this._onClose(socket, new Error(`${this.constructor.name} - bad reply from ${this.getIdentifier()}: ${err.message}`));
+    }
+  }
+
+  static encode (args) {
+    let parts = [`*${args.length}\r\n`];
+
+    for (let arg of args) {
+      let str = String(arg);
+      parts.push(`$${Buffer.byteLength(str)}\r\n${str}\r\n`);
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Parse one reply from buffer at offset
+   * @return {Object|null} {value, offset} with offset just past the reply, or null if incomplete
+   */
+  static parse (buffer, offset) {
+    let lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd == -1) {
+      return null;
+    }
+
+    let type = String.fromCharCode(buffer[offset]);
+    let line = buffer.toString('utf8', offset + 1, lineEnd);
+    let next = lineEnd + 2;
+
+    if (type == '+') {
+      return {value: line, offset: next};
+    } else if (type == '-') {
+      return {value: new Error(line), offset: next};
+    } else if (type == ':') {
+      return {value: parseInt(line), offset: next};
+    } else if (type == '$') {
+      let length = parseInt(line);
+      if (length == -1) {
+        return {value: null, offset: next};
+      } else if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return {value: buffer.toString('utf8', next, next + length), offset: next + length + 2};
+    } else if (type == '*') {
+      let length = parseInt(line);
+      if (length == -1) {
+        return {value: null, offset: next};
+      }
+
+      let values = [];
+      for (let i = 0; i < length; i++) {
+        let item = RespClient.parse(buffer, next);
+        if (item == null) {
+          return null;
+        }
+        values.push(item.value);
+        next = item.offset;
+      }
+      return {value: values, offset: next};
+    }
+
+    throw new Error(`RespClient.parse - unknown reply type: ${type}`);
+  }
+};
+
+
+
+module.exports = RespClient;
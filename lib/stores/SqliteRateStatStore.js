@@ -0,0 +1,128 @@
+"use strict";
+
+const RateStatStore = require('./RateStatStore');
+
+
+/**
+ * SqliteRateStatStore
+ * Stores timestamps (and bans, in <tableName>_bans) in a SQLite database file that several processes on the
+ * same machine can share. Uses WAL mode so readers don't block the writer.
+ * Requires the optional dependency better-sqlite3
+ */
+class SqliteRateStatStore extends RateStatStore {
+  constructor (args={}) {
+    super(args);
+
+    this.filename = args.filename || 'proxyratemanager-stats.sqlite';
+    this.tableName = args.tableName || 'rate_stats';
+    this.busyTimeout = args.busyTimeout || 1000 * 5; // ms to wait on another process's write lock
+
+    if (!/^\w+$/.test(this.tableName)) {
+      throw new Error(`${this.constructor.name} - invalid tableName: ${this.tableName}`);
+    }
+
+    this.db = null;
+    this.statements = {};
+  }
+
+  async init () {
+    if (this.db) {
+      return;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error(`${this.constructor.name} - better-sqlite3 is required for this store. npm install better-sqlite3`);
+    }
+
+    this.db = new Database(this.filename, { timeout: this.busyTimeout });
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (ip TEXT NOT NULL, action TEXT NOT NULL, ts INTEGER NOT NULL);
+      CREATE INDEX IF NOT EXISTS ${this.tableName}_ip_action_ts ON ${this.tableName} (ip, action, ts);
+      CREATE TABLE IF NOT EXISTS ${this.tableName}_bans (
+        ip TEXT NOT NULL, target TEXT NOT NULL, action TEXT NOT NULL, until INTEGER NOT NULL, reason TEXT,
+        PRIMARY KEY (ip, target, action)
+      );
+    `);
+
+    let t = this.tableName;
+    this.statements = {
+      record: this.db.prepare(`INSERT INTO ${t} (ip, action, ts) VALUES (?, ?, ?)`),
+      count: this.db.prepare(`SELECT COUNT(*) AS n FROM ${t} WHERE ip = ? AND action = ? AND ts >= ?`),
+      getTimestamps: this.db.prepare(`SELECT ts FROM ${t} WHERE ip = ? AND action = ? AND ts >= ? ORDER BY ts`),
+      remove: this.db.prepare(`DELETE FROM ${t} WHERE rowid = ?`),
+      prune: this.db.prepare(`DELETE FROM ${t} WHERE ip = ? AND action = ? AND ts < ?`),
+      getIPs: this.db.prepare(`SELECT DISTINCT ip FROM ${t}`),
+      getActionNames: this.db.prepare(`SELECT DISTINCT action FROM ${t} WHERE ip = ?`),
+      deleteIP: this.db.prepare(`DELETE FROM ${t} WHERE ip = ?`),
+      // '' target/action is "any"
+      addBan: this.db.prepare(`INSERT OR REPLACE INTO ${t}_bans (ip, target, action, until, reason) VALUES (?, ?, ?, ?, ?)`),
+      removeBan: this.db.prepare(`DELETE FROM ${t}_bans WHERE ip = ? AND target = ? AND action = ?`),
+      pruneBans: this.db.prepare(`DELETE FROM ${t}_bans WHERE until <= ?`),
+      getBans: this.db.prepare(`SELECT ip, target, action, until, reason FROM ${t}_bans`),
+    };
+  }
+
+  async record (ip, actionName, timestamp) {
+    return this.statements.record.run(ip, actionName, timestamp).lastInsertRowid;
+  }
+
+  async remove (ip, actionName, id) {
+    this.statements.remove.run(id);
+  }
+
+  async count (ip, actionName, since=0) {
+    return this.statements.count.get(ip, actionName, since).n;
+  }
+
+  async getTimestamps (ip, actionName, since=0) {
+    return this.statements.getTimestamps.all(ip, actionName, since).map(row => row.ts);
+  }
+
+  async prune (ip, actionName, olderThan) {
+    return this.statements.prune.run(ip, actionName, olderThan).changes;
+  }
+
+  async getIPs () {
+    return this.statements.getIPs.all().map(row => row.ip);
+  }
+
+  async getActionNames (ip) {
+    return this.statements.getActionNames.all(ip).map(row => row.action);
+  }
+
+  async deleteIP (ip) {
+    this.statements.deleteIP.run(ip);
+  }
+
+  async addBan (ban) {
+    this.statements.addBan.run(ban.ip, ban.target || '', ban.actionName || '', ban.until, ban.reason || null);
+  }
+
+  async removeBan (ban) {
+    this.statements.removeBan.run(ban.ip, ban.target || '', ban.actionName || '');
+  }
+
+  async getBans () {
+    this.statements.pruneBans.run(new Date().getTime());
+
+    return this.statements.getBans.all().map(row => ({
+      ip: row.ip, target: row.target || null, actionName: row.action || null, until: row.until, reason: row.reason,
+    }));
+  }
+
+  async close () {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+};
+
+
+
+module.exports = SqliteRateStatStore;
@@ -0,0 +1,63 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+  assert = require('node:assert'),
+  createManager = require('./helpers/createManager');
+
+
+describe('ActionReservation', () => {
+  let manager, client;
+
+  beforeEach(async () => {
+    manager = await createManager();
+    manager.addRateLimitActionKey({key: 'search', limit: 5, timeForRateReset: 60000});
+    client = manager.createClient(0);
+  });
+
+  afterEach(() => manager.close());
+
+  it('counts the slot from acquire, and keeps it counted on commit', async () => {
+    let recorded = [];
+    manager.on('actionRecorded', (event) => recorded.push(event));
+
+    let reservation = await client.acquire('search');
+    let ip = client.getCurrentIP();
+
+    assert.strictEqual(reservation.isPending(), true);
+    assert.strictEqual(await manager.store.count(ip, 'search'), 1);
+
+    assert.strictEqual(await reservation.commit(), true);
+    assert.strictEqual(reservation.state, 'committed');
+    assert.strictEqual(await manager.store.count(ip, 'search'), 1);
+    assert.deepStrictEqual(recorded, [{ip: ip, actionName: 'search', scope: null}]);
+  });
+
+  it('gives the slot back on release', async () => {
+    let reservation = await client.acquire('search');
+    let ip = reservation.ip;
+
+    assert.strictEqual(await reservation.release(), true);
+    assert.strictEqual(reservation.state, 'released');
+    assert.strictEqual(await manager.store.count(ip, 'search'), 0);
+  });
+
+  it('moves the slot to the IP the action really went out through', async () => {
+    let reservation = await client.acquire('search');
+    let reservedIP = reservation.ip;
+
+    await reservation.commit('10.9.9.9');
+
+    assert.strictEqual(reservation.ip, '10.9.9.9');
+    assert.strictEqual(await manager.store.count(reservedIP, 'search'), 0);
+    assert.strictEqual(await manager.store.count('10.9.9.9', 'search'), 1);
+  });
+
+  it('settles once', async () => {
+    let reservation = await client.acquire('search');
+
+    await reservation.commit();
+    assert.strictEqual(await reservation.commit(), false);
+    assert.strictEqual(await reservation.release(), false);
+    assert.strictEqual(await manager.store.count(reservation.ip, 'search'), 1);
+  });
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+const { describe, it } = require('node:test'),
+  assert = require('node:assert'),
+  { BanClassifier } = require('..');
+
+
+describe('BanClassifier', () => {
+  it('matches statuses', () => {
+    let classifier = new BanClassifier({status: [403, 429]});
+
+    assert.strictEqual(classifier.matches({statusCode: 429}), true);
+    assert.strictEqual(classifier.matches({statusCode: 200}), false);
+    assert.strictEqual(new BanClassifier({status: 403}).matches({statusCode: 403}), true);
+  });
+
+  it('needs every criterion given to match', () => {
+    let classifier = new BanClassifier({status: 200, body: /captcha/i, header: 'CF-Ray', headerValue: 'abc'});
+    let response = {statusCode: 200, body: 'Solve this CAPTCHA', headers: {'cf-ray': 'xabcx'}};
+
+    assert.strictEqual(classifier.matches(response), true);
+    assert.strictEqual(classifier.matches(Object.assign({}, response, {statusCode: 403})), false);
+    assert.strictEqual(classifier.matches(Object.assign({}, response, {body: 'welcome'})), false);
+    assert.strictEqual(classifier.matches(Object.assign({}, response, {headers: {}})), false);
+    assert.strictEqual(classifier.matches(Object.assign({}, response, {headers: {'cf-ray': 'xyz'}})), false);
+  });
+
+  it('finds body and header strings literally', () => {
+    let classifier = new BanClassifier({body: 'access denied (1.2)'});
+
+    assert.strictEqual(classifier.matches({body: 'Error: access denied (1.2)'}), true);
+    assert.strictEqual(classifier.matches({body: 'access denied (1x2)'}), false);
+  });
+
+  it('takes test functions alone or with criteria', () => {
+    let isBlockPage = (response) => response.url.endsWith('/blocked');
+
+    assert.strictEqual(BanClassifier.from(isBlockPage).matches({url: 'http://example.com/blocked'}), true);
+    assert.strictEqual(new BanClassifier({status: 302, test: isBlockPage}).matches({statusCode: 302, url: 'http://example.com/'}), false);
+  });
+
+  it('names itself from its criteria unless named', () => {
+    assert.strictEqual(new BanClassifier({status: [403, 429], body: 'blocked'}).name, 'status 403/429, body /blocked/');
+    assert.strictEqual(new BanClassifier({status: 200, body: /captcha/, name: 'captcha', ttl: 60000}).name, 'captcha');
+  });
+
+  it('keeps classifiers given to from and throws on ones that can\'t match anything', () => {
+    let classifier = new BanClassifier({status: 403});
+
+    assert.strictEqual(BanClassifier.from(classifier), classifier);
+    assert.throws(() => new BanClassifier({ttl: 1000}), /needs at least one of/);
+    assert.throws(() => new BanClassifier({status: 200, headerValue: 'x'}), /headerValue needs a header/);
+  });
+});
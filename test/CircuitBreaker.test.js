@@ -0,0 +1,103 @@
+"use strict";
+
+const { describe, it } = require('node:test'),
+  assert = require('node:assert'),
+  CircuitBreaker = require('../lib/CircuitBreaker');
+
+
+// breaker whose stateChanged events are kept in breaker.changes as "old>new"
+function createBreaker (args) {
+  let breaker = new CircuitBreaker(args);
+  breaker.changes = [];
+  breaker.on('stateChanged', ({oldState, state}) => breaker.changes.push(`${oldState}>${state}`));
+  return breaker;
+}
+
+
+describe('CircuitBreaker', () => {
+  it('opens after maxConsecutiveFailures failures in a row', () => {
+    let breaker = createBreaker({maxConsecutiveFailures: 3, minRequests: 100});
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess(); // resets the run
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(breaker.changes, ['closed>open']);
+  });
+
+  it('opens when the success rate EWMA falls below minSuccessRate, once it has minRequests samples', () => {
+    let breaker = createBreaker({alpha: 0.5, minSuccessRate: 0.5, minRequests: 3, maxConsecutiveFailures: 10});
+
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.strictEqual(breaker.successRate, 0.5);
+    assert.strictEqual(breaker.state, 'closed');
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.successRate, 0.25);
+    assert.strictEqual(breaker.state, 'open');
+  });
+
+  it('opens when the latency EWMA goes above maxLatency', () => {
+    let breaker = createBreaker({alpha: 0.5, maxLatency: 100, minRequests: 2});
+
+    breaker.recordSuccess(50);
+    breaker.recordSuccess(); // no time given. latency unchanged
+    assert.strictEqual(breaker.latency, 50);
+
+    breaker.recordSuccess(250);
+    assert.strictEqual(breaker.latency, 150);
+    assert.strictEqual(breaker.state, 'open');
+  });
+
+  it('closes after probeSuccessesToClose probes in half-open, with a fresh sample count', () => {
+    let breaker = createBreaker({maxConsecutiveFailures: 1, probeSuccessesToClose: 2});
+
+    breaker.halfOpen(); // only from open
+    assert.strictEqual(breaker.state, 'closed');
+
+    breaker.recordFailure();
+    breaker.halfOpen();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'half-open');
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.samples, 0);
+    assert.deepStrictEqual(breaker.changes, ['closed>open', 'open>half-open', 'half-open>closed']);
+  });
+
+  it('opens again on any failed probe', () => {
+    let breaker = createBreaker({maxConsecutiveFailures: 1, probeSuccessesToClose: 2});
+
+    breaker.recordFailure();
+    breaker.halfOpen();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(breaker.changes, ['closed>open', 'open>half-open', 'half-open>open']);
+  });
+
+  it('scores the success rate, capped while half-open and 0 while open', () => {
+    let breaker = createBreaker({alpha: 0.5, maxConsecutiveFailures: 2, minRequests: 100, openDuration: 60000});
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.getScore(), 50);
+    assert.strictEqual(breaker.getTimeUntilProbe(), 0);
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.getScore(), 0);
+    assert.ok(breaker.getTimeUntilProbe() > 59000 && breaker.getTimeUntilProbe() <= 60000);
+
+    breaker.halfOpen();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.getScore(), 20);
+    assert.strictEqual(breaker.getStats().state, 'half-open');
+  });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const { describe, it, afterEach, mock } = require('node:test'),
+  assert = require('node:assert'),
+  { CircuitSelectionStrategies } = require('..');
+
+
+// stand-ins for the parts of ProxyCircuit and ProxyRateManager the strategies read
+function createCircuit (name, {health=100, lastIPChangeTime=0, ip=null}={}) {
+  return {name: name, lastIPChangeTime: lastIPChangeTime, activeExitNodeIP: ip || `10.0.0.${name}`, getHealthScore: () => health};
+}
+
+function createContext (circuits, manager={}) {
+  return {manager: Object.assign({circuits: circuits, clients: [], actionLimits: {}}, manager), client: null, state: {}};
+}
+
+
+describe('CircuitSelectionStrategies', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('gets strategies by name or takes functions, and throws on unknown names', () => {
+    let custom = (candidates) => candidates[0];
+
+    assert.strictEqual(CircuitSelectionStrategies.get('round-robin'), CircuitSelectionStrategies.roundRobin);
+    assert.strictEqual(CircuitSelectionStrategies.get(custom), custom);
+    assert.throws(() => CircuitSelectionStrategies.get('fastest'), /unknown strategy "fastest"/);
+  });
+
+  it('round-robin goes through the pool in order, skipping circuits that aren\'t candidates', () => {
+    let [a, b, c] = ['1', '2', '3'].map(name => createCircuit(name));
+    let context = createContext([a, b, c]);
+    let pick = (candidates) => CircuitSelectionStrategies.roundRobin(candidates, context).name;
+
+    assert.deepStrictEqual([pick([a, b, c]), pick([a, b, c]), pick([a, c]), pick([a, b, c])], ['1', '2', '3', '1']);
+  });
+
+  it('least-connected picks the circuit with fewest clients, by pool order on ties', () => {
+    let [a, b, c] = ['1', '2', '3'].map(name => createCircuit(name));
+    let context = createContext([a, b, c], {clients: [{circuit: a}, {circuit: a}, {circuit: b}]});
+
+    assert.strictEqual(CircuitSelectionStrategies.leastConnected([a, b, c], context), c);
+    assert.strictEqual(CircuitSelectionStrategies.leastConnected([a, b], context), b);
+  });
+
+  it('health-weighted picks in proportion to health scores', () => {
+    let circuits = [createCircuit('1', {health: 10}), createCircuit('2', {health: 0}), createCircuit('3', {health: 30})];
+    let context = createContext(circuits);
+    let pickAt = (random) => {
+      mock.method(Math, 'random', () => random);
+      return CircuitSelectionStrategies.healthWeighted(circuits, context).name;
+    };
+
+    assert.deepStrictEqual([0, 0.2, 0.25, 0.99].map(pickAt), ['1', '1', '3', '3']);
+  });
+
+  it('most-remaining-quota picks the most slots left for the action, or over every action', () => {
+    let [a, b] = [createCircuit('1'), createCircuit('2')];
+    let remaining = {'10.0.0.1': {search: 1, login: 10}, '10.0.0.2': {search: 5, login: 0}};
+    let context = createContext([a, b], {
+      actionLimits: {search: 10, login: 10},
+      getRemainingQuota: (ip, actionName) => remaining[ip][actionName],
+    });
+
+    assert.strictEqual(CircuitSelectionStrategies.mostRemainingQuota([a, b], Object.assign({}, context, {actionName: 'search'})), b);
+    assert.strictEqual(CircuitSelectionStrategies.mostRemainingQuota([a, b], context), a); // 1.1 of 2 over 0.5
+  });
+
+  it('least-recently-rotated picks the circuit whose IP changed longest ago', () => {
+    let circuits = [createCircuit('1', {lastIPChangeTime: 300}), createCircuit('2', {lastIPChangeTime: 100}), createCircuit('3', {lastIPChangeTime: 200})];
+    assert.strictEqual(CircuitSelectionStrategies.leastRecentlyRotated(circuits, createContext(circuits)).name, '2');
+  });
+});
@@ -0,0 +1,176 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  http = require('http'),
+  net = require('net'),
+  { SocksClient } = require('socks'),
+  createManager = require('./helpers/createManager');
+
+
+/**
+ * FakeVendorProxy
+ * Plain HTTP proxy (absolute URL requests and CONNECT) standing in for a vendor's proxy.
+ * requests: "GET http://..." and "CONNECT host:port" lines it forwarded
+ */
+class FakeVendorProxy {
+  constructor () {
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      this.requests.push(`${req.method} ${req.url}`);
+      let upstream = http.request(req.url, {method: req.method, headers: req.headers}, (upRes) => {
+        res.writeHead(upRes.statusCode, upRes.headers);
+        upRes.pipe(res);
+      });
+      upstream.on('error', () => res.destroy());
+      req.pipe(upstream);
+    });
+
+    this.server.on('connect', (req, socket, head) => {
+      this.requests.push(`CONNECT ${req.url}`);
+      let [host, port] = req.url.split(':');
+      let upstream = net.connect(port, host, () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(socket).pipe(upstream);
+      });
+      upstream.on('error', () => socket.destroy());
+      socket.on('error', () => upstream.destroy());
+    });
+  }
+
+  async listen () {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return this.server.address().port;
+  }
+
+  async close () {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+};
+
+
+// GET path over a raw socket (tunnel) and resolve with the response body
+function getThroughTunnel (socket, hostPort, path) {
+  return new Promise((resolve, reject) => {
+    let response = '';
+    socket.on('data', (chunk) => response += chunk);
+    socket.on('end', () => resolve(response.substr(response.indexOf('\r\n\r\n') + 4)));
+    socket.on('error', reject);
+    socket.write(`GET ${path} HTTP/1.1\r\nHost: ${hostPort}\r\nConnection: close\r\n\r\n`);
+  });
+}
+
+
+describe('ProxyForwardServer', () => {
+  let manager, forwardProxy, vendor, target, targetHost, proxyPort, socksPort;
+
+  let proxyAuth = (username, token='tok') => `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`;
+
+  // plain HTTP request through the forward proxy. resolves {status, body}
+  let request = (path, headers={}) => new Promise((resolve, reject) => {
+    let req = http.request({host: '127.0.0.1', port: proxyPort, path: `http://${targetHost}${path}`, headers: headers}, (res) => {
+      let body = '';
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => resolve({status: res.statusCode, body: body}));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  before(async () => {
+    target = http.createServer((req, res) => res.end(`${req.url} action=${req.headers['x-prm-action'] || '-'}`));
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+    targetHost = `127.0.0.1:${target.address().port}`;
+
+    vendor = new FakeVendorProxy();
+    let vendorPort = await vendor.listen();
+
+    manager = await createManager({}, [
+      {host: '127.0.0.1', port: vendorPort, type: 'http', pools: ['vendor']},
+    ]);
+    manager.addRateLimitActionKey({key: 'act', limit: 10, timeForRateReset: 60000});
+
+    forwardProxy = await manager.startForwardProxy({port: 0, socksPort: 0, token: 'tok', maxClients: 2});
+    proxyPort = forwardProxy.httpServer.address().port;
+    socksPort = forwardProxy.socksServer.address().port;
+  });
+
+  after(async () => {
+    await forwardProxy.close();
+    await manager.close();
+    await vendor.close();
+    target.closeAllConnections();
+    await new Promise(resolve => target.close(resolve));
+  });
+
+  it('asks for the token', async () => {
+    let res = await request('/x');
+    assert.strictEqual(res.status, 407);
+  });
+
+  it('forwards plain HTTP requests through a circuit, counting the action and stripping X-PRM headers', async () => {
+    let res = await request('/http', {'Proxy-Authorization': proxyAuth('pool=vendor'), 'X-PRM-Action': 'act'});
+    let ip = manager.circuits[0].activeExitNodeIP;
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body, '/http action=-');
+    assert.ok(vendor.requests.indexOf(`GET http://${targetHost}/http`) != -1);
+    assert.strictEqual(manager.getRemainingQuota(ip, 'act'), 9);
+  });
+
+  it('answers 400 for unknown actions and pools', async () => {
+    assert.strictEqual((await request('/x', {'Proxy-Authorization': proxyAuth('action=nope')})).status, 400);
+    assert.strictEqual((await request('/x', {'Proxy-Authorization': proxyAuth('pool=nope')})).status, 400);
+  });
+
+  it('tunnels CONNECT requests through a circuit', async () => {
+    let socket = await new Promise((resolve, reject) => {
+      let req = http.request({host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: targetHost,
+        headers: {'Proxy-Authorization': proxyAuth('client=tunnel')}});
+      req.on('connect', (res, socket) => (res.statusCode == 200) ? resolve(socket) : reject(new Error(`status ${res.statusCode}`)));
+      req.on('error', reject);
+      req.end();
+    });
+
+    assert.strictEqual(await getThroughTunnel(socket, targetHost, '/connect'), '/connect action=-');
+    assert.ok(vendor.requests.indexOf(`CONNECT ${targetHost}`) != -1);
+  });
+
+  it('tunnels SOCKS5 connections through a circuit, with the token as password', async () => {
+    let connect = (password) => SocksClient.createConnection({
+      proxy: {host: '127.0.0.1', port: socksPort, type: 5, userId: 'client=socks', password: password},
+      command: 'connect',
+      destination: {host: '127.0.0.1', port: target.address().port},
+    });
+
+    await assert.rejects(connect('wrong'));
+
+    let {socket} = await connect('tok');
+    assert.strictEqual(await getThroughTunnel(socket, targetHost, '/socks'), '/socks action=-');
+  });
+
+  it('keeps at most maxClients clients, removing the least recently used from the manager', async () => {
+    let numManagerClients = manager.clients.length;
+
+    for (let name of ['a', 'b', 'a', 'c']) {
+      assert.strictEqual((await request('/x', {'Proxy-Authorization': proxyAuth(`client=${name}`)})).status, 200);
+    }
+
+    let names = [...forwardProxy.clients.values()].map(entry => entry.client.clientName);
+    assert.deepStrictEqual(names, ['ForwardProxy */a', 'ForwardProxy */c']);
+    assert.ok(manager.clients.every(client => client.clientName != 'ForwardProxy */b'));
+    assert.ok(manager.clients.length <= numManagerClients + 1);
+  });
+
+  it('removes clients idle for clientIdleTime', async () => {
+    forwardProxy.clientIdleTime = 50;
+    await request('/x', {'Proxy-Authorization': proxyAuth('client=idle')});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await request('/x', {'Proxy-Authorization': proxyAuth('client=fresh')});
+
+    assert.deepStrictEqual([...forwardProxy.clients.keys()], ['\nfresh']);
+    assert.ok(manager.clients.every(client => client.clientName != 'ForwardProxy */idle'));
+  });
+});
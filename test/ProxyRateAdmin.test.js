@@ -0,0 +1,92 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  { ProxyRateAdmin } = require('..'),
+  createManager = require('./helpers/createManager');
+
+
+describe('ProxyRateAdmin', () => {
+  let manager, admin, baseURL;
+
+  let post = async (path, body) => {
+    let res = await fetch(`${baseURL}${path}`, {
+      method: 'POST',
+      headers: {'Authorization': `Bearer ${admin.token}`, 'Content-Type': 'application/json'},
+      body: JSON.stringify(body),
+    });
+
+    return {status: res.status, body: await res.json()};
+  };
+
+  before(async () => {
+    manager = await createManager();
+    manager._startTorForCircuit = async () => {};
+
+    admin = new ProxyRateAdmin({manager: manager, token: 'test-token', allowedRotationHosts: ['rotate.example.com']});
+    let server = await admin.listen({port: 0});
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await admin.close();
+    await manager.close();
+  });
+
+  it('needs the token', async () => {
+    let res = await fetch(`${baseURL}/circuits`);
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('adds a circuit', async () => {
+    let res = await post('/circuits', {host: '3.3.3.3', port: 8080, type: 'http', name: 'added'});
+
+    assert.strictEqual(res.status, 200);
+    assert.ok(manager.getAllCircuits().some(c => c.name == 'added'));
+  });
+
+  it('answers 400 for circuit details addCircuit refuses', async () => {
+    let invalid = [
+      {host: '4.4.4.4'}, // no port
+      {host: '4.4.4.4', port: 80, type: 'ftp'},
+      {host: '4.4.4.4', port: 80, type: 'http', rotation: {type: 'url'}},
+      {host: '4.4.4.4', port: 80, type: 'http', rotation: {type: 'session', usernameTemplate: 'user'}},
+      {host: '4.4.4.4', port: 80, addToCyclingCircuitPool: false},
+    ];
+
+    for (let circuitDetails of invalid) {
+      let res = await post('/circuits', circuitDetails);
+      assert.strictEqual(res.status, 400, JSON.stringify(circuitDetails));
+    }
+  });
+
+  it('answers 400 for local tor circuits whose ports clash', async () => {
+    assert.strictEqual((await post('/circuits', {isLocalTor: true, host: '127.0.0.1', port: 9050})).status, 200);
+    assert.strictEqual((await post('/circuits', {isLocalTor: true, host: '127.0.0.1', port: 9049})).status, 400); // its ControlPort is 9050
+  });
+
+  it('refuses fields that touch the filesystem or other hosts', async () => {
+    for (let field of ['torDataDirectory', 'torrcLines', 'controlCookieFile', 'controlHost']) {
+      let res = await post('/circuits', {isLocalTor: true, host: '127.0.0.1', port: 9070, [field]: '/tmp/x'});
+      assert.strictEqual(res.status, 400, field);
+      assert.match(res.body.error, new RegExp(field));
+    }
+  });
+
+  it('only takes url rotations to allowed hosts', async () => {
+    let rotation = (url) => ({host: '5.5.5.5', port: 80, type: 'http', rotation: {type: 'url', url: url}});
+
+    assert.strictEqual((await post('/circuits', rotation('http://169.254.169.254/latest'))).status, 400);
+    assert.strictEqual((await post('/circuits', rotation('not a url'))).status, 400);
+    assert.strictEqual((await post('/circuits', rotation('https://rotate.example.com/new-ip'))).status, 200);
+  });
+
+  it('answers 409 for circuits already added, pool or named', async () => {
+    let named = {host: '6.6.6.6', port: 80, addToCyclingCircuitPool: false, name: 'login'};
+
+    assert.strictEqual((await post('/circuits', {host: '1.1.1.1', port: 1080})).status, 409);
+    assert.strictEqual((await post('/circuits', named)).status, 200);
+    assert.strictEqual((await post('/circuits', named)).status, 409);
+    assert.strictEqual((await post('/circuits', Object.assign({}, named, {host: '7.7.7.7'}))).status, 409); // name taken
+  });
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  http = require('http'),
+  { AdvancedProxiedRequest, ProxyRateError, RetriesExhaustedError } = require('..');
+
+
+describe('ProxyRateErrors', () => {
+  it('copies details onto the error without replacing its name or message', () => {
+    let err = new RetriesExhaustedError('gave up', {name: 'apirequest1', message: 'other', status: 500});
+
+    assert.ok(err instanceof ProxyRateError);
+    assert.strictEqual(err.name, 'RetriesExhaustedError');
+    assert.strictEqual(err.message, 'gave up');
+    assert.strictEqual(err.status, 500);
+  });
+
+  describe('RetriesExhaustedError from a request', () => {
+    let server, url;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        res.statusCode = 500;
+        res.end('down');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('keeps its class name and gives the request\'s name as requestName', async () => {
+      class FailingRequest extends AdvancedProxiedRequest {
+        postProcess () {
+          return this.fail(0, `${this.name} - status ${this.responseStatusCode}`);
+        }
+      };
+
+      let req = new FailingRequest({url: url, maxRetries: 2});
+      req.name = 'apirequest1';
+
+      await assert.rejects(req.runAsync(), (err) => {
+        assert.ok(err instanceof RetriesExhaustedError);
+        assert.strictEqual(err.name, 'RetriesExhaustedError');
+        assert.strictEqual(err.requestName, 'apirequest1');
+        assert.strictEqual(err.status, 500);
+        assert.strictEqual(err.numTries, 2);
+        assert.strictEqual(err.reason, null);
+        return true;
+      });
+    });
+  });
+});
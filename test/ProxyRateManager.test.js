@@ -0,0 +1,133 @@
+"use strict";
+
+const { describe, it, afterEach } = require('node:test'),
+  assert = require('node:assert'),
+  { MemoryRateStatStore, AdvancedProxiedRequest, InvalidConfigError } = require('..'),
+  createManager = require('./helpers/createManager');
+
+
+// Memory store whose reads fail while failReads is set
+class FailingStore extends MemoryRateStatStore {
+  constructor () {
+    super();
+    this.failReads = false;
+  }
+
+  async getTimestamps (ip, actionName, since=0) {
+    if (this.failReads) {
+      throw new Error('store unavailable');
+    }
+
+    return await super.getTimestamps(ip, actionName, since);
+  }
+};
+
+
+describe('ProxyRateManager', () => {
+  let manager;
+
+  afterEach(async () => {
+    if (manager) {
+      await manager.close();
+      manager = null;
+    }
+  });
+
+  describe('changing IP', () => {
+    it('releases the circuit and its waiters when the store fails mid change', async () => {
+      let store = new FailingStore();
+      manager = await createManager({store: store});
+      manager.addRateLimitActionKey({key: 'search', limit: 5, timeForRateReset: 60000});
+
+      let circuit = manager.circuits[0];
+      store.failReads = true;
+
+      let change = manager._definitivelyChangeToAvailableIP(circuit, null, 'search');
+      let waiter = circuit.waitForIPChange();
+
+      await assert.rejects(change, /store unavailable/);
+      assert.strictEqual(circuit.isChanging(), false);
+      assert.strictEqual(await waiter, false);
+
+      // and the circuit can change again once the store is back
+      store.failReads = false;
+      await manager._definitivelyChangeToAvailableIP(circuit, null, 'search');
+      assert.strictEqual(circuit.isChanging(), false);
+      assert.match(circuit.activeExitNodeIP, /^10\.0\.1\./);
+    });
+  });
+
+  describe('removing circuits', () => {
+    it('takes pool circuits out of the pool and moves their clients', async () => {
+      manager = await createManager();
+      let [removed, kept] = manager.circuits;
+      let client = manager.createClient(0);
+      let events = [];
+      manager.on('circuitRemoved', ({circuit}) => events.push(circuit));
+
+      await manager._removeCircuit(removed);
+
+      assert.deepStrictEqual(manager.circuits, [kept]);
+      assert.strictEqual(client.circuit, kept);
+      assert.strictEqual(removed.isValid(), false);
+      assert.deepStrictEqual(events, [removed]);
+    });
+
+    it('takes named circuits out of namedCircuits only, leaving the pool alone', async () => {
+      manager = await createManager();
+      let named = await manager.addCircuit({host: '1.1.1.1', port: 1080, addToCyclingCircuitPool: false, name: 'direct'});
+      let pool = manager.circuits.slice();
+
+      await manager._removeCircuit(named);
+
+      assert.deepStrictEqual(manager.namedCircuits, {});
+      assert.deepStrictEqual(manager.circuits, pool);
+      assert.strictEqual(manager.getAllCircuits().length, 2);
+    });
+  });
+
+  describe('bad config', () => {
+    it('rejects circuits it can\'t add with InvalidConfigError, before starting anything', async () => {
+      manager = await createManager();
+      let startedTors = [];
+      manager._startTorForCircuit = async (circuit) => { startedTors.push(circuit.port); };
+
+      let invalid = [
+        [{host: '3.3.3.3', port: 80, type: 'ftp'}, 'type'],
+        [{host: '3.3.3.3', port: 80, type: 'http', rotation: {type: 'url'}}, 'rotation'],
+        [{host: '3.3.3.3', port: 80, type: 'http', rotation: {type: 'magic'}}, 'rotation'],
+        [{host: '3.3.3.3', port: 80, addToCyclingCircuitPool: false}, 'name'],
+      ];
+
+      for (let [circuitDetails, field] of invalid) {
+        await assert.rejects(manager.addCircuit(circuitDetails), (err) => err instanceof InvalidConfigError && err.field == field);
+      }
+
+      // already added: pool circuits, named ones, and names already taken
+      let named = {host: '8.8.8.8', port: 80, addToCyclingCircuitPool: false, name: 'direct'};
+      await manager.addCircuit(named);
+      for (let circuitDetails of [{host: '1.1.1.1', port: 1080}, named, Object.assign({}, named, {host: '9.9.9.9'})]) {
+        assert.throws(() => manager.validateCircuitDetails(circuitDetails), (err) => err instanceof InvalidConfigError && err.isDuplicate);
+      }
+
+      await manager.addCircuit({isLocalTor: true, host: '127.0.0.1', port: 9050});
+      await assert.rejects(manager.addCircuit({isLocalTor: true, host: '127.0.0.1', port: '9051'}), (err) => err.field == 'port');
+      await assert.rejects(manager.addCircuit({isLocalTor: true, host: '127.0.0.1', port: 9060, controlPort: 9050}), (err) => err.field == 'port');
+
+      assert.deepStrictEqual(startedTors, [9050]);
+      assert.strictEqual(manager.getAllCircuits().length, 4);
+    });
+
+    it('throws InvalidConfigError for unknown client filter fields and bad action settings', async () => {
+      manager = await createManager();
+
+      assert.throws(() => manager.createClient({pool: 'a', colour: 'red'}), (err) => err instanceof InvalidConfigError && err.field == 'colour');
+      assert.throws(() => manager.addRateLimitActionKey({key: 'a', scope: 'planet'}), InvalidConfigError);
+      assert.throws(() => manager.addRateLimitActionKey({key: 'a', rules: []}), InvalidConfigError);
+    });
+
+    it('throws InvalidConfigError for a rate limited request without a proxyClient', () => {
+      assert.throws(() => new AdvancedProxiedRequest({url: 'http://example.com/', reqArgs: {rateLimitAction: 'search'}}), InvalidConfigError);
+    });
+  });
+});
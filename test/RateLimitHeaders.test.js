@@ -0,0 +1,39 @@
+"use strict";
+
+const { describe, it } = require('node:test'),
+  assert = require('node:assert'),
+  RateLimitHeaders = require('../lib/RateLimitHeaders');
+
+
+describe('RateLimitHeaders', () => {
+  let now = 1700000000000;
+
+  it('gives nulls when nothing is sent', () => {
+    assert.deepStrictEqual(RateLimitHeaders.parse({}, now), {retryAt: null, remaining: null, resetAt: null});
+    assert.deepStrictEqual(RateLimitHeaders.parse({'retry-after': '', 'x-ratelimit-remaining': 'lots'}, now), {retryAt: null, remaining: null, resetAt: null});
+  });
+
+  it('reads Retry-After as seconds or an HTTP-date', () => {
+    assert.strictEqual(RateLimitHeaders.parseRetryAfter('120', now), now + 120000);
+    assert.strictEqual(RateLimitHeaders.parseRetryAfter('1.5', now), now + 1500);
+    assert.strictEqual(RateLimitHeaders.parseRetryAfter(new Date(now + 30000).toUTCString(), now), now + 30000);
+    assert.strictEqual(RateLimitHeaders.parseRetryAfter(new Date(now - 30000).toUTCString(), now), now); // already past
+    assert.strictEqual(RateLimitHeaders.parseRetryAfter('soon', now), null);
+  });
+
+  it('reads the reset as epoch seconds, epoch ms or seconds from now', () => {
+    assert.strictEqual(RateLimitHeaders.parseReset('1700000060', now), now + 60000);
+    assert.strictEqual(RateLimitHeaders.parseReset('1700000060000', now), now + 60000);
+    assert.strictEqual(RateLimitHeaders.parseReset('15', now), now + 15000);
+    assert.strictEqual(RateLimitHeaders.parseReset(undefined, now), null);
+  });
+
+  it('takes any of the usual header names, and the first of several policies', () => {
+    assert.deepStrictEqual(RateLimitHeaders.parse({'x-ratelimit-remaining': '3', 'x-ratelimit-reset': '1700000060'}, now),
+      {retryAt: null, remaining: 3, resetAt: now + 60000});
+    assert.deepStrictEqual(RateLimitHeaders.parse({'ratelimit-remaining': '0, 40', 'ratelimit-reset': '15'}, now),
+      {retryAt: null, remaining: 0, resetAt: now + 15000});
+    assert.deepStrictEqual(RateLimitHeaders.parse({'x-rate-limit-remaining': ['-1', '5'], 'retry-after': '2'}, now),
+      {retryAt: now + 2000, remaining: 0, resetAt: null});
+  });
+});
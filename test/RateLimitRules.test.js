@@ -0,0 +1,112 @@
+"use strict";
+
+const { describe, it } = require('node:test'),
+  assert = require('node:assert'),
+  { RateLimitRule, RollingWindowRule, FixedWindowRule, TokenBucketRule } = require('..');
+
+
+const HOUR = 1000 * 60 * 60;
+
+
+describe('RateLimitRules', () => {
+  describe('RateLimitRule.from', () => {
+    it('builds rules by type, rolling by default', () => {
+      assert.ok(RateLimitRule.from({limit: 5, window: 1000}) instanceof RollingWindowRule);
+      assert.ok(RateLimitRule.from({type: 'fixed', limit: 5, period: 'hour'}) instanceof FixedWindowRule);
+      assert.ok(RateLimitRule.from({type: 'tokenBucket', capacity: 5, refillRate: 1}) instanceof TokenBucketRule);
+
+      let rule = new RollingWindowRule({type: 'rolling', limit: 1, window: 1});
+      assert.strictEqual(RateLimitRule.from(rule), rule);
+    });
+
+    it('throws on unknown types and bad numbers', () => {
+      assert.throws(() => RateLimitRule.from({type: 'leaky'}), /unknown type "leaky"/);
+      assert.throws(() => RateLimitRule.from({limit: 0, window: 1000}), /limit must be a positive number/);
+      assert.throws(() => RateLimitRule.from({type: 'fixed', limit: 5, period: 'fortnight'}), /unknown period/);
+      assert.throws(() => RateLimitRule.from({type: 'tokenBucket', capacity: 5}), /refillRate/);
+    });
+  });
+
+  describe('RollingWindowRule.evaluate', () => {
+    let rule = RateLimitRule.from({limit: 2, window: 1000});
+
+    it('counts the actions in the last window', () => {
+      assert.deepStrictEqual(rule.evaluate([100, 500], 1200), {limit: 2, count: 1, remaining: 1, isOverLimit: false, availableAt: 1200});
+    });
+
+    it('frees a slot when enough of the oldest actions leave the window', () => {
+      assert.deepStrictEqual(rule.evaluate([100, 500], 1000), {limit: 2, count: 2, remaining: 0, isOverLimit: false, availableAt: 1100});
+      assert.deepStrictEqual(rule.evaluate([100, 500, 900], 1000), {limit: 2, count: 3, remaining: 0, isOverLimit: true, availableAt: 1500});
+    });
+  });
+
+  describe('FixedWindowRule.getWindow', () => {
+    it('finds the calendar day, in UTC or at an offset', () => {
+      let day = RateLimitRule.from({type: 'fixed', limit: 1, period: 'day'});
+      assert.deepStrictEqual(day.getWindow(Date.UTC(2024, 0, 15, 13)), {start: Date.UTC(2024, 0, 15), end: Date.UTC(2024, 0, 16)});
+
+      // 23:00 UTC is already the 16th at UTC+2. that day began at 22:00 UTC
+      let dayAtOffset = RateLimitRule.from({type: 'fixed', limit: 1, period: 'day', utcOffset: 120});
+      assert.deepStrictEqual(dayAtOffset.getWindow(Date.UTC(2024, 0, 15, 23)), {start: Date.UTC(2024, 0, 15, 22), end: Date.UTC(2024, 0, 16, 22)});
+    });
+
+    it('starts weeks on Monday and months on the 1st', () => {
+      let week = RateLimitRule.from({type: 'fixed', limit: 1, period: 'week'});
+      assert.deepStrictEqual(week.getWindow(Date.UTC(2024, 0, 17, 10)), {start: Date.UTC(2024, 0, 15), end: Date.UTC(2024, 0, 22)}); // a Wednesday
+
+      let month = RateLimitRule.from({type: 'fixed', limit: 1, period: 'month'});
+      assert.deepStrictEqual(month.getWindow(Date.UTC(2024, 1, 20)), {start: Date.UTC(2024, 1, 1), end: Date.UTC(2024, 2, 1)}); // leap February
+    });
+
+    it('takes periods in ms', () => {
+      let rule = RateLimitRule.from({type: 'fixed', limit: 1, period: 5000});
+      assert.deepStrictEqual(rule.getWindow(12345), {start: 10000, end: 15000});
+    });
+  });
+
+  describe('FixedWindowRule.evaluate', () => {
+    it('counts only the current period and frees slots at its end', () => {
+      let rule = RateLimitRule.from({type: 'fixed', limit: 2, period: 'hour'});
+      let now = 10 * HOUR + 1000;
+
+      assert.deepStrictEqual(rule.evaluate([10 * HOUR - 1, 10 * HOUR, now], now),
+        {limit: 2, count: 2, remaining: 0, isOverLimit: false, availableAt: 11 * HOUR, resetAt: 11 * HOUR});
+      assert.strictEqual(rule.evaluate([10 * HOUR], now).availableAt, now);
+    });
+  });
+
+  describe('TokenBucketRule.evaluate', () => {
+    let rule = RateLimitRule.from({type: 'tokenBucket', capacity: 2, refillRate: 1});
+
+    it('starts full', () => {
+      assert.deepStrictEqual(rule.evaluate([], 5000), {limit: 2, count: 0, remaining: 2, isOverLimit: false, availableAt: 5000, tokens: 2});
+    });
+
+    it('empties on a burst and refills at refillRate', () => {
+      assert.deepStrictEqual(rule.evaluate([0, 0], 0), {limit: 2, count: 2, remaining: 0, isOverLimit: false, availableAt: 1000, tokens: 0});
+      assert.strictEqual(rule.evaluate([0, 0], 500).tokens, 0.5);
+
+      let later = rule.evaluate([0, 0], 1500);
+      assert.strictEqual(later.remaining, 1);
+      assert.strictEqual(later.availableAt, 1500);
+    });
+
+    it('never refills past capacity, and forgets actions older than its retention', () => {
+      assert.strictEqual(rule.evaluate([0], 5000).tokens, 2);
+      assert.strictEqual(rule.getRetention(), 8000);
+      assert.strictEqual(rule.evaluate([0, 0, 0, 9000], 9000).count, 1);
+    });
+
+    it('is over limit when more actions than tokens were taken', () => {
+      let result = rule.evaluate([0, 0, 0], 0);
+
+      assert.strictEqual(result.isOverLimit, true);
+      assert.strictEqual(result.tokens, 0);
+      assert.strictEqual(result.availableAt, 2000);
+    });
+
+    it('takes refillInterval instead of refillRate', () => {
+      assert.strictEqual(RateLimitRule.from({type: 'tokenBucket', capacity: 1, refillInterval: 500}).refillRate, 2);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  { spawn, spawnSync } = require('child_process'),
+  net = require('net'),
+  { RedisRateStatStore } = require('..');
+
+
+// Runs against a throwaway redis-server, skipped where there isn't one
+const hasRedis = !spawnSync('redis-server', ['--version']).error;
+
+
+async function getFreePort () {
+  let server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  let port = server.address().port;
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+
+describe('RedisRateStatStore', {skip: hasRedis ? false : 'redis-server not installed'}, () => {
+  let redis, port;
+  let stores = [];
+
+  // each test gets its own keyPrefix, so nothing leaks between them
+  let createStore = async (name) => {
+    let store = new RedisRateStatStore({port: port, keyPrefix: `prm-test:${name}:`});
+    stores.push(store);
+    await store.init();
+    return store;
+  };
+
+  before(async () => {
+    port = await getFreePort();
+    redis = spawn('redis-server', ['--port', String(port), '--bind', '127.0.0.1', '--save', '', '--appendonly', 'no'], {stdio: 'ignore'});
+
+    // wait for it to accept connections
+    for (let tries = 0; ; tries++) {
+      try {
+        let store = new RedisRateStatStore({port: port});
+        await store.init();
+        await store.close();
+        break;
+      } catch (err) {
+        if (tries > 50) {
+          throw err;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+  });
+
+  after(async () => {
+    for (let store of stores) {
+      await store.close();
+    }
+
+    if (redis) {
+      redis.kill();
+    }
+  });
+
+  it('counts and lists an action\'s timestamps on an IP, oldest first', async () => {
+    let store = await createStore('count');
+
+    await store.record('1.1.1.1', 'search', 3000);
+    await store.record('1.1.1.1', 'search', 1000);
+    await store.record('1.1.1.1', 'search', 2000);
+    await store.record('1.1.1.1', 'login', 2000);
+    await store.record('2.2.2.2', 'search', 2000);
+
+    assert.strictEqual(await store.count('1.1.1.1', 'search'), 3);
+    assert.strictEqual(await store.count('1.1.1.1', 'search', 2000), 2);
+    assert.deepStrictEqual(await store.getTimestamps('1.1.1.1', 'search'), [1000, 2000, 3000]);
+    assert.deepStrictEqual(await store.getTimestamps('1.1.1.1', 'search', 1500), [2000, 3000]);
+    assert.strictEqual(await store.count('3.3.3.3', 'search'), 0);
+  });
+
+  it('removes only the record whose id is given, even with equal timestamps', async () => {
+    let store = await createStore('remove');
+
+    let first = await store.record('1.1.1.1', 'search', 1000);
+    await store.record('1.1.1.1', 'search', 1000);
+    await store.remove('1.1.1.1', 'search', first);
+
+    assert.strictEqual(await store.count('1.1.1.1', 'search'), 1);
+  });
+
+  it('prunes timestamps older than the cutoff', async () => {
+    let store = await createStore('prune');
+
+    for (let timestamp of [1000, 2000, 3000]) {
+      await store.record('1.1.1.1', 'search', timestamp);
+    }
+
+    assert.strictEqual(await store.prune('1.1.1.1', 'search', 2000), 1);
+    assert.deepStrictEqual(await store.getTimestamps('1.1.1.1', 'search'), [2000, 3000]);
+  });
+
+  it('lists IPs and their action names, and forgets a deleted IP', async () => {
+    let store = await createStore('ips');
+
+    await store.record('1.1.1.1', 'search', 1000);
+    await store.record('1.1.1.1', 'api@example.com', 1000);
+    await store.record('2001:db8::1', 'search', 1000);
+
+    assert.deepStrictEqual((await store.getIPs()).sort(), ['1.1.1.1', '2001:db8::1']);
+    assert.deepStrictEqual((await store.getActionNames('1.1.1.1')).sort(), ['api@example.com', 'search']);
+    assert.deepStrictEqual(await store.getActionNames('2001:db8::1'), ['search']);
+
+    await store.deleteIP('1.1.1.1');
+
+    assert.deepStrictEqual(await store.getIPs(), ['2001:db8::1']);
+    assert.deepStrictEqual(await store.getActionNames('1.1.1.1'), []);
+    assert.strictEqual(await store.count('1.1.1.1', 'search'), 0);
+  });
+
+  it('keeps bans until they expire or are removed', async () => {
+    let store = await createStore('bans');
+    let now = Date.now();
+
+    await store.addBan({ip: '1.1.1.1', target: 'example.com', actionName: null, until: now + 60000, reason: 'status 403'});
+    await store.addBan({ip: '1.1.1.1', target: 'example.com', actionName: null, until: now + 120000, reason: 'captcha'}); // replaces
+    await store.addBan({ip: '2.2.2.2', target: null, actionName: 'search', until: now + 60000, reason: 'manual'});
+    await store.addBan({ip: '3.3.3.3', target: null, actionName: null, until: now - 1, reason: 'expired'});
+
+    let bans = await store.getBans();
+    assert.deepStrictEqual(bans.map(ban => `${ban.ip} ${ban.reason}`).sort(), ['1.1.1.1 captcha', '2.2.2.2 manual']);
+
+    await store.removeBan({ip: '2.2.2.2', target: null, actionName: 'search'});
+    assert.deepStrictEqual((await store.getBans()).map(ban => ban.ip), ['1.1.1.1']);
+  });
+
+  it('shares data between stores with the same keyPrefix only', async () => {
+    let store = await createStore('shared');
+    let sameStore = await createStore('shared');
+    let otherStore = await createStore('other');
+
+    await store.record('1.1.1.1', 'search', 1000);
+
+    assert.strictEqual(await sameStore.count('1.1.1.1', 'search'), 1);
+    assert.strictEqual(await otherStore.count('1.1.1.1', 'search'), 0);
+  });
+});
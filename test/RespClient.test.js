@@ -0,0 +1,115 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  net = require('net'),
+  RespClient = require('../lib/stores/RespClient');
+
+
+/**
+ * FakeRedis
+ * Answers AUTH (password "secret"), SELECT, PING and ECHO. BADREPLY gets a reply RESP can't parse
+ */
+class FakeRedis {
+  constructor () {
+    this.numConnections = 0;
+    this.commands = [];
+    this.server = net.createServer(socket => this._onConnection(socket));
+  }
+
+  async listen () {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return this.server.address().port;
+  }
+
+  async close () {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  _onConnection (socket) {
+    let buffer = Buffer.alloc(0);
+    this.numConnections++;
+
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let parsed;
+      while ((parsed = RespClient.parse(buffer, 0)) != null) {
+        buffer = buffer.slice(parsed.offset);
+        this.commands.push(parsed.value.join(' '));
+        socket.write(this._reply(parsed.value));
+      }
+    });
+  }
+
+  _reply ([command, ...args]) {
+    if (command == 'AUTH') {
+      return (args[0] == 'secret') ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+    } else if (command == 'SELECT' || command == 'QUIT') {
+      return '+OK\r\n';
+    } else if (command == 'PING') {
+      return '+PONG\r\n';
+    } else if (command == 'ECHO') {
+      return `$${Buffer.byteLength(args[0])}\r\n${args[0]}\r\n`;
+    } else if (command == 'BADREPLY') {
+      return '?what\r\n';
+    }
+
+    return `-ERR unknown command '${command}'\r\n`;
+  }
+};
+
+
+describe('RespClient', () => {
+  let redis, port;
+
+  before(async () => {
+    redis = new FakeRedis();
+    port = await redis.listen();
+  });
+
+  after(() => redis.close());
+
+  it('encodes commands and parses every reply type', () => {
+    assert.strictEqual(RespClient.encode(['SET', 'k', 12]), '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\n12\r\n');
+
+    let reply = Buffer.from('*4\r\n+OK\r\n:5\r\n$3\r\nabc\r\n$-1\r\n');
+    assert.deepStrictEqual(RespClient.parse(reply, 0), {value: ['OK', 5, 'abc', null], offset: reply.length});
+    assert.strictEqual(RespClient.parse(Buffer.from('$3\r\nab'), 0), null); // incomplete
+    assert.match(RespClient.parse(Buffer.from('-ERR nope\r\n'), 0).value.message, /ERR nope/);
+    assert.throws(() => RespClient.parse(Buffer.from('?x\r\n'), 0), /unknown reply type/);
+  });
+
+  it('pipelines commands and resolves their replies in order', async () => {
+    let client = new RespClient({port: port});
+
+    assert.deepStrictEqual(await Promise.all([client.command('ECHO', 'a'), client.command('PING'), client.command('ECHO', 'b')]), ['a', 'PONG', 'b']);
+    await client.quit();
+  });
+
+  it('keeps no connection when AUTH fails, and logs in again on the next command', async () => {
+    let client = new RespClient({port: port, password: 'wrong', db: 2});
+
+    await assert.rejects(client.command('PING'), /WRONGPASS/);
+    assert.strictEqual(client.socket, null);
+    assert.ok(redis.commands.indexOf('SELECT 2') == -1);
+
+    client.password = 'secret';
+    assert.strictEqual(await client.command('PING'), 'PONG');
+    assert.deepStrictEqual(redis.commands.slice(-3), ['AUTH secret', 'SELECT 2', 'PING']);
+    await client.quit();
+  });
+
+  it('rejects the commands waiting on a reply it can\'t parse and reconnects', async () => {
+    let client = new RespClient({port: port});
+    let numConnections = redis.numConnections;
+
+    await assert.rejects(client.command('BADREPLY'), /bad reply .* unknown reply type/);
+    assert.strictEqual(client.socket, null);
+
+    assert.strictEqual(await client.command('ECHO', 'again'), 'again');
+    assert.strictEqual(redis.numConnections, numConnections + 2);
+    await client.quit();
+  });
+});
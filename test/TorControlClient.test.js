@@ -0,0 +1,217 @@
+"use strict";
+
+const { describe, it, before, after } = require('node:test'),
+  assert = require('node:assert'),
+  crypto = require('crypto'),
+  net = require('net'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  { TorControlClient } = require('..');
+
+
+/**
+ * FakeControlPort
+ * Answers the part of tor's control protocol TorControlClient uses.
+ * auth: {password} or {cookie, methods: "SAFECOOKIE" or "COOKIE"}
+ */
+class FakeControlPort {
+  constructor (auth) {
+    this.auth = auth;
+    this.cookieFile = null;
+    this.newnymDelay = 0; // seconds tor reports in its NEWNYM rate limit NOTICE
+    this.commands = [];
+    this.server = net.createServer(socket => this._onConnection(socket));
+
+    if (auth.cookie) {
+      this.cookieFile = path.join(os.tmpdir(), `prm-test-cookie-${process.pid}`);
+      fs.writeFileSync(this.cookieFile, auth.cookie);
+    }
+  }
+
+  async listen () {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return this.server.address().port;
+  }
+
+  async close () {
+    await new Promise(resolve => this.server.close(resolve));
+
+    if (this.cookieFile) {
+      fs.rmSync(this.cookieFile, {force: true});
+    }
+  }
+
+  _onConnection (socket) {
+    let state = {isAuthenticated: false, safeCookieMessage: null};
+    let buffer = '';
+
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) != -1) {
+        let line = buffer.substr(0, index);
+        buffer = buffer.substr(index + 2);
+        this.commands.push(line);
+        this._onCommand(socket, state, line);
+      }
+    });
+  }
+
+  _onCommand (socket, state, line) {
+    let [command, ...args] = line.split(' ');
+
+    if (command == 'PROTOCOLINFO') {
+      let methods = this.auth.password ? 'HASHEDPASSWORD' : this.auth.methods;
+      let cookieFile = this.cookieFile ? ` COOKIEFILE="${this.cookieFile}"` : '';
+      return socket.write(`250-PROTOCOLINFO 1\r\n250-AUTH METHODS=${methods}${cookieFile}\r\n250-VERSION Tor="0.4.8.0"\r\n250 OK\r\n`);
+    } else if (command == 'AUTHCHALLENGE') {
+      let serverNonce = crypto.randomBytes(32);
+      state.safeCookieMessage = Buffer.concat([this.auth.cookie, Buffer.from(args[1], 'hex'), serverNonce]);
+      let serverHash = TorControlClient.safeCookieHash(TorControlClient.SAFECOOKIE_SERVER_KEY, state.safeCookieMessage);
+      return socket.write(`250 AUTHCHALLENGE SERVERHASH=${serverHash.toString('hex').toUpperCase()} SERVERNONCE=${serverNonce.toString('hex').toUpperCase()}\r\n`);
+    } else if (command == 'AUTHENTICATE') {
+      state.isAuthenticated = this._checkAuth(state, args.join(' '));
+      return socket.write(state.isAuthenticated ? '250 OK\r\n' : '515 Authentication failed: Password did not match\r\n');
+    } else if (command == 'QUIT') {
+      return socket.end('250 closing connection\r\n');
+    } else if (!state.isAuthenticated) {
+      return socket.write('514 Authentication required.\r\n');
+    } else if (line == 'SETEVENTS NOTICE') {
+      return socket.write('250 OK\r\n');
+    } else if (line == 'SIGNAL NEWNYM') {
+      socket.write('250 OK\r\n');
+      if (this.newnymDelay) {
+        socket.write(`650 NOTICE Rate limiting NEWNYM request: delaying by ${this.newnymDelay} second(s)\r\n`);
+      }
+      return;
+    } else if (line == 'GETINFO circuit-status') {
+      return socket.write('250+circuit-status=\r\n' +
+        '3 BUILT $AAAA~relayA,$BBBB~relayB,$CCCC~relayC BUILD_FLAGS=NEED_CAPACITY PURPOSE=GENERAL\r\n' +
+        '4 EXTENDED $AAAA~relayA PURPOSE=GENERAL\r\n' +
+        '5 BUILT $AAAA~relayA,$DDDD~relayD PURPOSE=HS_CLIENT_INTRO\r\n' +
+        '6 BUILT $BBBB~relayB,$EEEE~relayE\r\n' +
+        '.\r\n250 OK\r\n');
+    } else if (line == 'GETINFO ns/id/CCCC') {
+      return socket.write('250+ns/id/CCCC=\r\nr relayC AAAA BBBB 2018-12-13 12:00:00 5.6.7.8 9001 0\r\ns Exit Fast Running\r\n.\r\n250 OK\r\n');
+    } else if (command == 'GETINFO' && args[0].startsWith('ns/id/')) {
+      return socket.write(`552 Unrecognized key "${args[0]}"\r\n`);
+    }
+
+    socket.write(`510 Unrecognized command "${command}"\r\n`);
+  }
+
+  _checkAuth (state, arg) {
+    if (this.auth.password) {
+      return arg == TorControlClient.quote(this.auth.password);
+    } else if (state.safeCookieMessage) {
+      return arg == TorControlClient.safeCookieHash(TorControlClient.SAFECOOKIE_CLIENT_KEY, state.safeCookieMessage).toString('hex');
+    }
+
+    return this.auth.methods.split(',').indexOf('COOKIE') != -1 && arg == this.auth.cookie.toString('hex');
+  }
+};
+
+
+describe('TorControlClient', () => {
+  describe('password auth', () => {
+    let tor, port;
+
+    before(async () => {
+      tor = new FakeControlPort({password: 'pass "word"'});
+      port = await tor.listen();
+    });
+
+    after(() => tor.close());
+
+    it('authenticates with the quoted password', async () => {
+      let client = new TorControlClient({port: port, password: 'pass "word"'});
+      assert.deepStrictEqual(await client.getCircuits().then(c => c.map(circuit => circuit.id)), ['3', '4', '5', '6']);
+      assert.ok(tor.commands.indexOf('AUTHENTICATE "pass \\"word\\""') != -1);
+    });
+
+    it('rejects with tor\'s reply for a wrong password', async () => {
+      let client = new TorControlClient({port: port, password: 'wrong'});
+      await assert.rejects(client.getCircuits(), /tor replied 515/);
+    });
+  });
+
+  describe('cookie auth', () => {
+    let cookie = crypto.randomBytes(32);
+
+    it('answers the SAFECOOKIE challenge without sending the cookie', async () => {
+      let tor = new FakeControlPort({cookie: cookie, methods: 'COOKIE,SAFECOOKIE'});
+      let client = new TorControlClient({port: await tor.listen()});
+
+      try {
+        assert.strictEqual((await client.getExitNodes()).length, 2);
+        assert.ok(tor.commands.some(c => c.startsWith('AUTHCHALLENGE SAFECOOKIE ')));
+        assert.ok(tor.commands.every(c => c.indexOf(cookie.toString('hex')) == -1));
+      } finally {
+        await tor.close();
+      }
+    });
+
+    it('sends the cookie when tor only offers COOKIE', async () => {
+      let tor = new FakeControlPort({cookie: cookie, methods: 'COOKIE'});
+      let client = new TorControlClient({port: await tor.listen()});
+
+      try {
+        assert.strictEqual((await client.getExitNodes()).length, 2);
+        assert.ok(tor.commands.indexOf(`AUTHENTICATE ${cookie.toString('hex')}`) != -1);
+      } finally {
+        await tor.close();
+      }
+    });
+  });
+
+  describe('signalNewnym', () => {
+    let tor, port;
+
+    before(async () => {
+      tor = new FakeControlPort({password: 'secret'});
+      port = await tor.listen();
+    });
+
+    after(() => tor.close());
+
+    it('returns straight away when tor does not rate limit', async () => {
+      let client = new TorControlClient({port: port, password: 'secret', noticeWaitTime: 50});
+      tor.newnymDelay = 0;
+
+      assert.strictEqual(await client.signalNewnym(), 0);
+      assert.ok(tor.commands.indexOf('SIGNAL NEWNYM') != -1);
+    });
+
+    it('waits out the delay from tor\'s rate limit NOTICE', async () => {
+      let client = new TorControlClient({port: port, password: 'secret', noticeWaitTime: 50});
+      tor.newnymDelay = 1;
+
+      let start = Date.now();
+      assert.strictEqual(await client.signalNewnym(), 1000);
+      assert.ok(Date.now() - start >= 1000);
+    });
+  });
+
+  describe('getExitNodes', () => {
+    let tor, port;
+
+    before(async () => {
+      tor = new FakeControlPort({password: 'secret'});
+      port = await tor.listen();
+    });
+
+    after(() => tor.close());
+
+    it('lists the last hop of built general purpose circuits with its consensus IP', async () => {
+      let client = new TorControlClient({port: port, password: 'secret'});
+
+      assert.deepStrictEqual(await client.getExitNodes(), [
+        {circuitId: '3', fingerprint: 'CCCC', nickname: 'relayC', ip: '5.6.7.8'},
+        {circuitId: '6', fingerprint: 'EEEE', nickname: 'relayE', ip: null}, // no consensus entry
+      ]);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+const { ProxyRateManager, MemoryRateStatStore } = require('../..');
+
+
+/**
+ * ProxyRateManager on an in memory store with no network: exit IPs are made up per circuit
+ * (10.0.0.N at first, 10.0.1.N after each change) and pollers don't run.
+ * manager.exitIPs (circuit identifier => IP) can be edited to fake IP changes
+ */
+async function createManager (args={}, circuits=[{host: '1.1.1.1', port: 1080}, {host: '2.2.2.2', port: 1080}]) {
+  let manager = new ProxyRateManager(Object.assign({store: new MemoryRateStatStore()}, args));
+  let numIPs = 0;
+
+  manager.exitIPs = {};
+  manager._getExternalIP = async (circuit) => {
+    let id = circuit.getIdentifier();
+    return manager.exitIPs[id] || (manager.exitIPs[id] = `10.0.0.${++numIPs}`);
+  };
+  manager._changeExitNode = async (circuit) => {
+    manager.exitIPs[circuit.getIdentifier()] = `10.0.1.${++numIPs}`;
+  };
+  manager._startPoller = async () => {};
+
+  await manager.initWithCircuits(circuits);
+  return manager;
+}
+
+
+
+module.exports = createManager;